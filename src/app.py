@@ -7,10 +7,11 @@ for extracurricular activities at Mergington High School.
 
 from fastapi import FastAPI
 from fastapi.staticfiles import StaticFiles
-from fastapi.responses import RedirectResponse
+from fastapi.responses import RedirectResponse, FileResponse
 import os
 from pathlib import Path
 from .backend import routers, database
+from .backend.errors import APIError, api_error_handler
 
 # Initialize web host
 app = FastAPI(
@@ -18,6 +19,9 @@ app = FastAPI(
     description="API for viewing and signing up for extracurricular activities"
 )
 
+# Error responses include a stable `code` for translated messages
+app.add_exception_handler(APIError, api_error_handler)
+
 # Initialize database with sample data if empty
 database.init_database()
 
@@ -30,7 +34,23 @@ app.mount("/static", StaticFiles(directory=os.path.join(current_dir, "static")),
 def root():
     return RedirectResponse(url="/static/index.html")
 
+# Service worker, served from the root so its scope covers the whole site
+@app.get("/sw.js", include_in_schema=False)
+def service_worker():
+    return FileResponse(
+        os.path.join(current_dir, "static", "sw.js"),
+        media_type="application/javascript",
+        headers={"Cache-Control": "no-cache"}
+    )
+
 # Include routers
 app.include_router(routers.activities.router)
 app.include_router(routers.auth.router)
 app.include_router(routers.announcements.router)
+app.include_router(routers.categories.router)
+app.include_router(routers.teachers.router)
+app.include_router(routers.calendar.router)
+app.include_router(routers.students.router)
+app.include_router(routers.attendance.router)
+app.include_router(routers.events.router)
+app.include_router(routers.audit.router)
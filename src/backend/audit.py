@@ -0,0 +1,79 @@
+"""
+Append-only audit log of registration, activity and announcement changes
+
+Routers call record() after a change has been saved. Entries are only ever
+inserted; no endpoint updates or deletes them. Each entry holds:
+    timestamp  - when the change was made (UTC, ISO 8601)
+    actor      - {"username", "display_name"} of the teacher who made it
+    action     - what happened, one of ACTIONS
+    target     - {"type": "activity" | "announcement", "id", "label"}
+    activity, student - set when the change concerns an activity or a student,
+                 so the log can be filtered by them
+    before, after - the changed values; None when something was created or removed
+"""
+
+from datetime import datetime
+from typing import Any, Dict, Optional, Tuple
+
+from .database import audit_collection
+
+ACTIONS = [
+    "signup",
+    "unregister",
+    "unregister_undone",
+    "waitlist_joined",
+    "waitlist_removed",
+    "waitlist_promoted",
+    "activity_created",
+    "activity_updated",
+    "activity_deleted",
+    "announcement_created",
+    "announcement_updated",
+    "announcement_deleted",
+]
+
+
+def record(
+    action: str,
+    actor: Dict[str, Any],
+    target_type: str,
+    target_id: str,
+    label: Optional[str] = None,
+    before: Optional[Dict[str, Any]] = None,
+    after: Optional[Dict[str, Any]] = None,
+    activity: Optional[str] = None,
+    student: Optional[str] = None,
+) -> None:
+    """Append one entry to the audit log"""
+    audit_collection.insert_one({
+        "timestamp": datetime.utcnow().isoformat() + "Z",
+        "actor": {
+            "username": actor["username"],
+            "display_name": actor.get("display_name", actor["username"]),
+        },
+        "action": action,
+        "target": {"type": target_type, "id": target_id, "label": label or target_id},
+        "activity": activity,
+        "student": student,
+        "before": before,
+        "after": after,
+    })
+
+
+def record_student_change(
+    action: str,
+    actor: Dict[str, Any],
+    activity_name: str,
+    email: str,
+    before: Optional[Dict[str, Any]],
+    after: Optional[Dict[str, Any]],
+) -> None:
+    """Record a change to one student's place in an activity"""
+    record(action, actor, "activity", activity_name,
+           before=before, after=after, activity=activity_name, student=email)
+
+
+def changed_fields(before: Dict[str, Any], after: Dict[str, Any]) -> Tuple[Dict[str, Any], Dict[str, Any]]:
+    """Split two versions of a document into the old and new values of the fields that differ"""
+    keys = [k for k in after if before.get(k) != after[k]]
+    return {k: before.get(k) for k in keys}, {k: after[k] for k in keys}
@@ -2,7 +2,10 @@
 MongoDB database configuration and setup for Mergington High School API
 """
 
-from pymongo import MongoClient
+from datetime import datetime, timezone
+from typing import Any, Dict
+
+from pymongo import MongoClient, TEXT
 from argon2 import PasswordHasher, exceptions as argon2_exceptions
 
 # Connect to MongoDB
@@ -11,6 +14,12 @@ db = client['mergington_high']
 activities_collection = db['activities']
 teachers_collection = db['teachers']
 announcements_collection = db['announcements']
+categories_collection = db['categories']
+sessions_collection = db['sessions']
+attendance_collection = db['attendance']
+audit_collection = db['audit_log']
+undo_collection = db['unregister_undo']
+calendar_tokens_collection = db['calendar_tokens']
 
 # Methods
 
@@ -37,14 +46,58 @@ def verify_password(hashed_password: str, plain_password: str) -> bool:
         return False
 
 
+def is_expired(doc: Dict[str, Any]) -> bool:
+    """Whether a document's `expires_at` has passed
+
+    The TTL indexes remove expired documents only about once a minute, so
+    readers check the expiry themselves.
+    """
+    expires_at = doc["expires_at"]
+    if expires_at.tzinfo is None:
+        # pymongo returns naive UTC datetimes by default
+        expires_at = expires_at.replace(tzinfo=timezone.utc)
+    return expires_at <= datetime.now(timezone.utc)
+
+
 def init_database():
     """Initialize database if empty"""
 
+    # Let MongoDB drop expired sessions and unregister undo tokens on their own
+    sessions_collection.create_index("expires_at", expireAfterSeconds=0)
+    undo_collection.create_index("expires_at", expireAfterSeconds=0)
+
+    # Full-text search over activity descriptions and schedules (GET /activities/search)
+    activities_collection.create_index(
+        [("description", TEXT), ("schedule", TEXT)],
+        name="activity_text",
+        weights={"description": 2, "schedule": 1})
+
+    # Student calendar feeds are looked up by their secret token
+    calendar_tokens_collection.create_index("token", unique=True)
+
+    # Audit log filters (GET /audit), newest entries first
+    audit_collection.create_index([("timestamp", -1)])
+    for field in ("activity", "student", "actor.username"):
+        audit_collection.create_index([(field, 1), ("timestamp", -1)])
+
     # Initialize activities if empty
     if activities_collection.count_documents({}) == 0:
         for name, details in initial_activities.items():
             activities_collection.insert_one({"_id": name, **details})
 
+    # Backfill fields added to seeded activities after they were first created
+    for name, details in initial_activities.items():
+        for field in ("category", "sponsors", "waitlist"):
+            activities_collection.update_one(
+                {"_id": name, field: {"$exists": False}},
+                {"$set": {field: details[field]}})
+
+    # Initialize activity categories if empty
+    if categories_collection.count_documents({}) == 0:
+        for category in initial_categories:
+            categories_collection.insert_one(
+                {"_id": category["key"], **category})
+
     # Initialize teacher accounts if empty
     if teachers_collection.count_documents({}) == 0:
         for teacher in initial_teachers:
@@ -52,7 +105,7 @@ def init_database():
                 {"_id": teacher["username"], **teacher})
 
     # Initialize announcements if empty
-    # Announcements are objects with: title, message, start_date (optional, YYYY-MM-DD), expire_date (required, YYYY-MM-DD), created_by, created_at
+    # Announcements are objects with: title, message, severity (urgent | warning | info), audience, start_date (optional, YYYY-MM-DD), expire_date (required, YYYY-MM-DD), created_by, created_at
     if announcements_collection.count_documents({}) == 0:
         for ann in initial_announcements:
             announcements_collection.insert_one(ann)
@@ -68,8 +121,11 @@ initial_activities = {
             "start_time": "15:15",
             "end_time": "16:45"
         },
+        "category": "games",
         "max_participants": 12,
-        "participants": ["michael@mergington.edu", "daniel@mergington.edu"]
+        "sponsors": ["mchen"],
+        "participants": ["michael@mergington.edu", "daniel@mergington.edu"],
+        "waitlist": []
     },
     "Programming Class": {
         "description": "Learn programming fundamentals and build software projects",
@@ -79,8 +135,11 @@ initial_activities = {
             "start_time": "07:00",
             "end_time": "08:00"
         },
+        "category": "technology",
         "max_participants": 20,
-        "participants": ["emma@mergington.edu", "sophia@mergington.edu"]
+        "sponsors": ["mchen"],
+        "participants": ["emma@mergington.edu", "sophia@mergington.edu"],
+        "waitlist": []
     },
     "Morning Fitness": {
         "description": "Early morning physical training and exercises",
@@ -90,8 +149,11 @@ initial_activities = {
             "start_time": "06:30",
             "end_time": "07:45"
         },
+        "category": "sports",
         "max_participants": 30,
-        "participants": ["john@mergington.edu", "olivia@mergington.edu"]
+        "sponsors": [],
+        "participants": ["john@mergington.edu", "olivia@mergington.edu"],
+        "waitlist": []
     },
     "Soccer Team": {
         "description": "Join the school soccer team and compete in matches",
@@ -101,8 +163,11 @@ initial_activities = {
             "start_time": "15:30",
             "end_time": "17:30"
         },
+        "category": "sports",
         "max_participants": 22,
-        "participants": ["liam@mergington.edu", "noah@mergington.edu"]
+        "sponsors": [],
+        "participants": ["liam@mergington.edu", "noah@mergington.edu"],
+        "waitlist": []
     },
     "Basketball Team": {
         "description": "Practice and compete in basketball tournaments",
@@ -112,8 +177,11 @@ initial_activities = {
             "start_time": "15:15",
             "end_time": "17:00"
         },
+        "category": "sports",
         "max_participants": 15,
-        "participants": ["ava@mergington.edu", "mia@mergington.edu"]
+        "sponsors": [],
+        "participants": ["ava@mergington.edu", "mia@mergington.edu"],
+        "waitlist": []
     },
     "Art Club": {
         "description": "Explore various art techniques and create masterpieces",
@@ -123,8 +191,11 @@ initial_activities = {
             "start_time": "15:15",
             "end_time": "17:00"
         },
+        "category": "arts",
         "max_participants": 15,
-        "participants": ["amelia@mergington.edu", "harper@mergington.edu"]
+        "sponsors": ["mrodriguez"],
+        "participants": ["amelia@mergington.edu", "harper@mergington.edu"],
+        "waitlist": []
     },
     "Drama Club": {
         "description": "Act, direct, and produce plays and performances",
@@ -134,8 +205,11 @@ initial_activities = {
             "start_time": "15:30",
             "end_time": "17:30"
         },
+        "category": "arts",
         "max_participants": 20,
-        "participants": ["ella@mergington.edu", "scarlett@mergington.edu"]
+        "sponsors": ["mrodriguez"],
+        "participants": ["ella@mergington.edu", "scarlett@mergington.edu"],
+        "waitlist": []
     },
     "Math Club": {
         "description": "Solve challenging problems and prepare for math competitions",
@@ -145,8 +219,11 @@ initial_activities = {
             "start_time": "07:15",
             "end_time": "08:00"
         },
+        "category": "academic",
         "max_participants": 10,
-        "participants": ["james@mergington.edu", "benjamin@mergington.edu"]
+        "sponsors": ["mchen"],
+        "participants": ["james@mergington.edu", "benjamin@mergington.edu"],
+        "waitlist": []
     },
     "Debate Team": {
         "description": "Develop public speaking and argumentation skills",
@@ -156,8 +233,11 @@ initial_activities = {
             "start_time": "15:30",
             "end_time": "17:30"
         },
+        "category": "academic",
         "max_participants": 12,
-        "participants": ["charlotte@mergington.edu", "amelia@mergington.edu"]
+        "sponsors": [],
+        "participants": ["charlotte@mergington.edu", "amelia@mergington.edu"],
+        "waitlist": []
     },
     "Weekend Robotics Workshop": {
         "description": "Build and program robots in our state-of-the-art workshop",
@@ -167,8 +247,11 @@ initial_activities = {
             "start_time": "10:00",
             "end_time": "14:00"
         },
+        "category": "technology",
         "max_participants": 15,
-        "participants": ["ethan@mergington.edu", "oliver@mergington.edu"]
+        "sponsors": [],
+        "participants": ["ethan@mergington.edu", "oliver@mergington.edu"],
+        "waitlist": []
     },
     "Science Olympiad": {
         "description": "Weekend science competition preparation for regional and state events",
@@ -178,8 +261,11 @@ initial_activities = {
             "start_time": "13:00",
             "end_time": "16:00"
         },
+        "category": "academic",
         "max_participants": 18,
-        "participants": ["isabella@mergington.edu", "lucas@mergington.edu"]
+        "sponsors": [],
+        "participants": ["isabella@mergington.edu", "lucas@mergington.edu"],
+        "waitlist": []
     },
     "Sunday Chess Tournament": {
         "description": "Weekly tournament for serious chess players with rankings",
@@ -189,11 +275,29 @@ initial_activities = {
             "start_time": "14:00",
             "end_time": "17:00"
         },
+        "category": "games",
         "max_participants": 16,
-        "participants": ["william@mergington.edu", "jacob@mergington.edu"]
+        "sponsors": ["mchen"],
+        "participants": ["william@mergington.edu", "jacob@mergington.edu"],
+        "waitlist": []
     }
 }
 
+# Activity categories; admins can add more through the /categories API
+initial_categories = [
+    {"key": "sports", "label": "Sports",
+        "color": "#e8f5e9", "text_color": "#2e7d32"},
+    {"key": "arts", "label": "Arts", "color": "#f3e5f5", "text_color": "#7b1fa2"},
+    {"key": "academic", "label": "Academic",
+        "color": "#e3f2fd", "text_color": "#1565c0"},
+    {"key": "community", "label": "Community",
+        "color": "#fff3e0", "text_color": "#e65100"},
+    {"key": "technology", "label": "Technology",
+        "color": "#e8eaf6", "text_color": "#3949ab"},
+    {"key": "games", "label": "Games",
+        "color": "#fce4ec", "text_color": "#ad1457"}
+]
+
 initial_teachers = [
     {
         "username": "mrodriguez",
@@ -220,6 +324,7 @@ initial_announcements = [
     {
         "title": "Welcome Back — Activity Signups Open",
         "message": "Welcome to the new semester! Signups for extracurricular activities are open. Check schedules and register soon — spots are limited.",
+        "severity": "info",
         # optional start_date omitted so it is active immediately
         "expire_date": "2099-12-31",
         "created_by": "system",
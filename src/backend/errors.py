@@ -0,0 +1,36 @@
+"""
+API errors with stable codes
+
+Error responses keep the English `detail` message and add a `code` the
+frontend uses to look up a translated message. Values that appear in the
+message (activity names, allowed options, ...) are sent separately in
+`params` so translations can place them:
+
+    {"detail": "Invalid day(s): Funday", "code": "invalid_days", "params": {"days": ["Funday"]}}
+
+Codes are part of the API; rename one only together with the frontend
+catalogs in static/i18n.js.
+"""
+
+from typing import Any, Dict, Optional
+
+from fastapi import HTTPException, Request
+from fastapi.responses import JSONResponse
+
+
+class APIError(HTTPException):
+    """An HTTPException carrying a stable error code and message parameters"""
+
+    def __init__(self, status_code: int, code: str, detail: str,
+                 params: Optional[Dict[str, Any]] = None):
+        super().__init__(status_code=status_code, detail=detail)
+        self.code = code
+        self.params = params or {}
+
+
+async def api_error_handler(request: Request, exc: APIError) -> JSONResponse:
+    return JSONResponse(
+        status_code=exc.status_code,
+        content={"detail": exc.detail, "code": exc.code, "params": exc.params},
+        headers=exc.headers
+    )
@@ -0,0 +1,62 @@
+"""
+In-process event broadcasting for live updates
+
+Routers call publish() after they change data; every client connected to
+GET /events (see routers/events.py) receives the event. Route handlers run in
+FastAPI's thread pool, so events are handed to each subscriber's event loop
+with call_soon_threadsafe.
+"""
+
+import asyncio
+import itertools
+import json
+import threading
+from typing import Any, Dict, List, Tuple
+
+# Events buffered per client; a client that falls this far behind misses
+# events and should reload (it is told so with a "resync" event)
+MAX_QUEUED_EVENTS = 100
+
+_subscribers: List[Tuple[asyncio.AbstractEventLoop, asyncio.Queue]] = []
+_lock = threading.Lock()
+_event_ids = itertools.count(1)
+
+
+def subscribe() -> asyncio.Queue:
+    """Register a queue that receives every published event (call from async code)"""
+    queue: asyncio.Queue = asyncio.Queue(maxsize=MAX_QUEUED_EVENTS)
+    with _lock:
+        _subscribers.append((asyncio.get_running_loop(), queue))
+    return queue
+
+
+def unsubscribe(queue: asyncio.Queue) -> None:
+    with _lock:
+        _subscribers[:] = [(loop, q) for loop, q in _subscribers if q is not queue]
+
+
+def _deliver(queue: asyncio.Queue, event: Dict[str, Any]) -> None:
+    if queue.full():
+        # Drop the backlog and ask the client to reload instead
+        while not queue.empty():
+            queue.get_nowait()
+        event = {"id": event["id"], "type": "resync", "data": {}}
+    queue.put_nowait(event)
+
+
+def publish(event_type: str, **data: Any) -> None:
+    """Send an event to every connected client"""
+    event = {"id": next(_event_ids), "type": event_type, "data": data}
+    with _lock:
+        subscribers = list(_subscribers)
+    for loop, queue in subscribers:
+        try:
+            loop.call_soon_threadsafe(_deliver, queue, event)
+        except RuntimeError:
+            # The subscriber's loop has closed
+            unsubscribe(queue)
+
+
+def format_sse(event: Dict[str, Any]) -> str:
+    """Serialize an event in the text/event-stream format"""
+    return f"id: {event['id']}\nevent: {event['type']}\ndata: {json.dumps(event['data'])}\n\n"
@@ -0,0 +1,46 @@
+"""
+Role checks for teacher and admin accounts
+
+Admins can do everything. Teachers can only edit the activities they sponsor
+and only change announcements they created. Failed checks raise 403 with the
+reason in `detail`.
+"""
+
+from typing import Dict, Any
+
+from fastapi import Depends
+
+from .sessions import require_teacher
+from .errors import APIError
+
+ROLES = ["teacher", "admin"]
+
+
+def is_admin(teacher: Dict[str, Any]) -> bool:
+    return teacher.get("role") == "admin"
+
+
+def require_admin(teacher: Dict[str, Any] = Depends(require_teacher)) -> Dict[str, Any]:
+    """Dependency for admin-only routes"""
+    if not is_admin(teacher):
+        raise APIError(
+            status_code=403, code="admin_required", detail="This action requires an admin account")
+    return teacher
+
+
+def can_manage_activity(teacher: Dict[str, Any], activity: Dict[str, Any]) -> bool:
+    return is_admin(teacher) or teacher["username"] in activity.get("sponsors", [])
+
+
+def ensure_can_manage_activity(teacher: Dict[str, Any], activity: Dict[str, Any]) -> None:
+    if not can_manage_activity(teacher, activity):
+        raise APIError(
+            status_code=403, code="not_activity_sponsor",
+            detail="Only the activity's sponsors or an admin can change this activity")
+
+
+def ensure_can_manage_announcement(teacher: Dict[str, Any], announcement: Dict[str, Any]) -> None:
+    if not is_admin(teacher) and announcement.get("created_by") != teacher["username"]:
+        raise APIError(
+            status_code=403, code="not_announcement_author",
+            detail="Only admins can change announcements created by someone else")
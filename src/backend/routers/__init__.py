@@ -1,3 +1,10 @@
 from . import activities
 from . import auth
-from . import announcements
\ No newline at end of file
+from . import announcements
+from . import categories
+from . import teachers
+from . import calendar
+from . import students
+from . import attendance
+from . import events
+from . import audit
\ No newline at end of file
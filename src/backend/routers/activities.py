@@ -2,53 +2,478 @@
 Endpoints for the High School Management System API
 """
 
-from fastapi import APIRouter, HTTPException, Query
-from fastapi.responses import RedirectResponse
+import re
+import secrets
+from fastapi import APIRouter, Query, Body, Depends
+from fastapi.responses import RedirectResponse, Response
 from typing import Dict, Any, Optional, List
+from datetime import datetime, timedelta, timezone
 
-from ..database import activities_collection, teachers_collection
+from ..database import (
+    activities_collection, categories_collection, teachers_collection, undo_collection,
+    attendance_collection, announcements_collection, is_expired
+)
+from ..sessions import require_teacher
+from ..permissions import is_admin, ensure_can_manage_activity
+from .. import events, audit
+from ..errors import APIError
 
 router = APIRouter(
     prefix="/activities",
     tags=["activities"]
 )
 
+VALID_DAYS = ["Monday", "Tuesday", "Wednesday",
+              "Thursday", "Friday", "Saturday", "Sunday"]
+
+# Sort keys accepted by GET /activities, as fields computed in sort_pipeline
+SORT_FIELDS = {
+    "name": "_id",
+    "start_time": "schedule_details.start_time",
+    "spots_left": "spots_left",
+    "fill": "fill",
+}
+MAX_PAGE_SIZE = 100
+
+# How long an unregister can be undone with the token it returns
+UNDO_WINDOW = timedelta(seconds=60)
+
+# Activity names are URL path segments and appear in page markup
+INVALID_NAME_PATTERN = re.compile(r'[/<"\x00-\x1f\x7f]')
+
+# Student emails accepted by signups, batch signups and the waitlist
+EMAIL_PATTERN = re.compile(r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+
+# Batch signups: the most emails accepted at once and the per-email outcomes
+MAX_BATCH_SIZE = 100
+BATCH_STATUSES = ["added", "already_registered", "invalid", "full", "schedule_conflict"]
+
+# Search relevance added for each query term found in the activity name.
+# Names are the _id, which the text index does not cover.
+NAME_MATCH_WEIGHT = 2.0
+
+
+def parse_time(value: Any) -> Optional[datetime]:
+    """Parse a 24-hour HH:MM time string, returning None when malformed"""
+    if not isinstance(value, str):
+        return None
+    try:
+        return datetime.strptime(value, "%H:%M")
+    except ValueError:
+        return None
+
+
+def validate_activity_name(name: str) -> str:
+    if INVALID_NAME_PATTERN.search(name):
+        raise APIError(
+            status_code=400, code="invalid_activity_name",
+            detail='Activity names cannot contain "/", "<", double quotes or control characters')
+    return name
+
+
+def validate_schedule_details(schedule_details: Dict[str, Any]) -> Dict[str, Any]:
+    """Validate schedule_details and return a normalized copy (days in week order)"""
+    days = schedule_details.get("days")
+    if not isinstance(days, list) or not days:
+        raise APIError(
+            status_code=400, code="days_required",
+            detail="schedule_details.days must list at least one day")
+
+    invalid_days = [d for d in days if d not in VALID_DAYS]
+    if invalid_days:
+        raise APIError(
+            status_code=400, code="invalid_days",
+            detail=f"Invalid day(s): {', '.join(map(str, invalid_days))}",
+            params={"days": [str(d) for d in invalid_days]})
+
+    start_time = schedule_details.get("start_time")
+    end_time = schedule_details.get("end_time")
+    start = parse_time(start_time)
+    end = parse_time(end_time)
+    if not start or not end:
+        raise APIError(
+            status_code=400, code="invalid_time",
+            detail="start_time and end_time must use 24-hour HH:MM format")
+
+    if end <= start:
+        raise APIError(
+            status_code=400, code="end_before_start", detail="end_time must be after start_time")
+
+    # strptime also accepts "9:5"; store zero-padded HH:MM, which other code
+    # compares as text and writes into calendar feeds
+    return {
+        "days": [d for d in VALID_DAYS if d in days],
+        "start_time": start.strftime("%H:%M"),
+        "end_time": end.strftime("%H:%M")
+    }
+
+
+def format_schedule(schedule_details: Dict[str, Any]) -> str:
+    """Build the human readable schedule string, e.g. 'Mondays and Fridays, 3:15 PM - 4:45 PM'"""
+    days = [f"{d}s" for d in schedule_details["days"]]
+    if len(days) == 2:
+        days_text = " and ".join(days)
+    else:
+        days_text = ", ".join(days)
+
+    def to_12h(value: str) -> str:
+        return parse_time(value).strftime("%I:%M %p").lstrip("0")
+
+    return f"{days_text}, {to_12h(schedule_details['start_time'])} - {to_12h(schedule_details['end_time'])}"
+
+
+def validate_max_participants(max_participants: Any, enrolled: int = 0) -> int:
+    """Ensure capacity is a positive integer and not below current enrollment"""
+    if isinstance(max_participants, bool) or not isinstance(max_participants, int) or max_participants < 1:
+        raise APIError(
+            status_code=400, code="invalid_max_participants",
+            detail="max_participants must be a positive whole number")
+
+    if max_participants < enrolled:
+        raise APIError(
+            status_code=400, code="max_below_enrollment",
+            detail=f"max_participants cannot be below current enrollment ({enrolled})",
+            params={"enrolled": enrolled})
+
+    return max_participants
+
+
+def validate_category(category: Any) -> str:
+    """Ensure the category names an entry in the categories collection"""
+    if not isinstance(category, str) or not categories_collection.find_one({"_id": category}):
+        raise APIError(status_code=400, code="unknown_category", detail="Unknown category")
+
+    return category
+
+
+def validate_sponsors(sponsors: Any) -> List[str]:
+    """Ensure every sponsor is an existing teacher username"""
+    if not isinstance(sponsors, list):
+        raise APIError(
+            status_code=400, code="invalid_sponsors",
+            detail="sponsors must be a list of teacher usernames")
+
+    unknown = [s for s in sponsors if not teachers_collection.find_one({"_id": s})]
+    if unknown:
+        raise APIError(
+            status_code=400, code="unknown_sponsors",
+            detail=f"Unknown sponsor(s): {', '.join(map(str, unknown))}",
+            params={"usernames": [str(s) for s in unknown]})
+
+    return list(dict.fromkeys(sponsors))
+
+
+def is_valid_email(email: str) -> bool:
+    return bool(EMAIL_PATTERN.match(email))
+
+
+def validate_email(email: str) -> str:
+    if not is_valid_email(email):
+        raise APIError(
+            status_code=400, code="invalid_email",
+            detail=f"Invalid email address: {email}",
+            params={"email": email})
+    return email
+
+
+def find_schedule_conflicts(email: str, activity_name: str, schedule_details: Dict[str, Any]) -> List[Dict[str, Any]]:
+    """List the student's other activities that meet on a shared day at an overlapping time"""
+    conflicts = []
+    if not schedule_details:
+        return conflicts
+
+    start = schedule_details["start_time"]
+    end = schedule_details["end_time"]
+    for other in activities_collection.find({"participants": email, "_id": {"$ne": activity_name}}):
+        other_details = other.get("schedule_details")
+        if not other_details:
+            continue
+
+        shared_days = [d for d in schedule_details["days"] if d in other_details["days"]]
+        # HH:MM strings compare correctly as text
+        if shared_days and start < other_details["end_time"] and other_details["start_time"] < end:
+            conflicts.append({
+                "name": other["_id"],
+                "days": shared_days,
+                "start_time": other_details["start_time"],
+                "end_time": other_details["end_time"]
+            })
+
+    return conflicts
+
+
+def student_status(activity: Dict[str, Any], email: str) -> Optional[Dict[str, Any]]:
+    """A student's place in an activity as recorded in the audit log, or None if they have none"""
+    if email in activity["participants"]:
+        return {"status": "registered"}
+    waitlist = activity.get("waitlist", [])
+    if email in waitlist:
+        return {"status": "waitlisted", "position": waitlist.index(email) + 1}
+    return None
+
+
+def activity_snapshot(activity: Dict[str, Any]) -> Dict[str, Any]:
+    """An activity's stored fields without its name, for audit before/after values"""
+    return {k: v for k, v in activity.items() if k != "_id"}
+
+
+def add_participant(activity_name: str, email: str, position: Optional[int] = None) -> bool:
+    """
+    Add a student to participants, taking them off the waitlist if they were on it.
+
+    The student is appended, or inserted at index `position` (used to undo an
+    unregister). The filter re-checks capacity and enrollment so two concurrent
+    signups cannot overfill the activity. Returns whether the student was added.
+    """
+    push = email if position is None else {"$each": [email], "$position": position}
+    result = activities_collection.update_one(
+        {
+            "_id": activity_name,
+            "participants": {"$ne": email},
+            "$expr": {"$lt": [{"$size": "$participants"}, "$max_participants"]}
+        },
+        {"$push": {"participants": push}, "$pull": {"waitlist": email}}
+    )
+    return result.modified_count > 0
+
+
+def promote_from_waitlist(activity_name: str, teacher: Dict[str, Any]) -> List[str]:
+    """
+    Move students from the front of the waitlist into open spots.
+
+    Each promotion is conditional on the student still being first in line and
+    a spot still being free, so concurrent requests cannot overfill the
+    activity. Promotions are audited as made by `teacher`, whose change freed
+    the spots. Returns the promoted emails in order.
+    """
+    promoted = []
+    while True:
+        activity = activities_collection.find_one({"_id": activity_name})
+        if not activity:
+            return promoted
+
+        waitlist = activity.get("waitlist", [])
+        participants = activity["participants"]
+        if not waitlist or len(participants) >= activity["max_participants"]:
+            return promoted
+
+        email = waitlist[0]
+        result = activities_collection.update_one(
+            {
+                "_id": activity_name,
+                "waitlist.0": email,
+                "participants": {"$size": len(participants)}
+            },
+            {"$pull": {"waitlist": email}, "$push": {"participants": email}}
+        )
+        if result.modified_count:
+            promoted.append(email)
+            audit.record_student_change(
+                "waitlist_promoted", teacher, activity_name, email,
+                before={"status": "waitlisted", "position": 1},
+                after={"status": "registered"})
+
+
+def remove_activity_references(activity_name: str, teacher: Dict[str, Any]) -> None:
+    """
+    Clean up after a deleted activity so a new one with the same name starts fresh
+
+    Its attendance and undo tokens are deleted. Announcements aimed at it stop
+    targeting it, and those aimed at nothing else are deleted.
+    """
+    attendance_collection.delete_many({"activity": activity_name})
+    undo_collection.delete_many({"activity": activity_name})
+
+    for ann in announcements_collection.find(
+            {"audience.type": "activities", "audience.activities": activity_name}):
+        ann_id = str(ann["_id"])
+        audience = ann["audience"]
+        remaining = [n for n in audience["activities"] if n != activity_name]
+        if remaining:
+            updated = {**audience, "activities": remaining}
+            announcements_collection.update_one({"_id": ann["_id"]}, {"$set": {"audience": updated}})
+            audit.record("announcement_updated", teacher, "announcement", ann_id,
+                         label=ann.get("title"), before={"audience": audience}, after={"audience": updated})
+            events.publish("announcement", action="updated", id=ann_id)
+        else:
+            announcements_collection.delete_one({"_id": ann["_id"]})
+            audit.record("announcement_deleted", teacher, "announcement", ann_id,
+                         label=ann.get("title"), before={k: v for k, v in ann.items() if k != "_id"})
+            events.publish("announcement", action="deleted", id=ann_id)
+
+
+def publish_activity(event_type: str, activity_name: str, **data: Any) -> None:
+    """Broadcast an activity change with the activity's current details"""
+    activity = activities_collection.find_one({"_id": activity_name})
+    if activity:
+        activity.pop("_id")
+        events.publish(event_type, activity=activity_name, details=activity, **data)
+
 
 @router.get("", response_model=Dict[str, Any])
 @router.get("/", response_model=Dict[str, Any])
 def get_activities(
-    day: Optional[str] = None,
+    response: Response,
+    day: Optional[List[str]] = Query(None),
     start_time: Optional[str] = None,
-    end_time: Optional[str] = None
+    end_time: Optional[str] = None,
+    category: Optional[str] = None,
+    sort: str = "name",
+    order: str = "asc",
+    page: int = Query(1, ge=1),
+    page_size: Optional[int] = Query(None, ge=1, le=MAX_PAGE_SIZE)
 ) -> Dict[str, Any]:
     """
-    Get all activities with their details, with optional filtering by day and time
+    Get all activities with their details, with optional filtering by day, time and category
 
-    - day: Filter activities occurring on this day (e.g., 'Monday', 'Tuesday')
-    - start_time: Filter activities starting at or after this time (24-hour format, e.g., '14:30')
-    - end_time: Filter activities ending at or before this time (24-hour format, e.g., '17:00')
+    - day: Filter activities meeting on any of these days; repeat the parameter
+      or separate days with commas (e.g., 'Saturday,Sunday')
+    - start_time / end_time: Filter activities that overlap this time window
+      (24-hour format, e.g., '14:30' to '17:00'); either end may be left open
+    - category: Filter activities by category key (e.g., 'sports')
+    - sort / order: 'name', 'start_time', 'spots_left' or 'fill' (enrolled / capacity),
+      'asc' or 'desc'; ties are broken by name
+    - page / page_size: Return one page of results; without page_size every
+      match is returned. X-Total-Count holds the number of matches.
     """
-    # Build the query based on provided filters
-    query = {}
-
-    if day:
-        query["schedule_details.days"] = {"$in": [day]}
-
-    if start_time:
-        query["schedule_details.start_time"] = {"$gte": start_time}
+    if sort not in SORT_FIELDS:
+        raise APIError(
+            status_code=400, code="invalid_sort",
+            detail=f"sort must be one of: {', '.join(SORT_FIELDS)}",
+            params={"allowed": list(SORT_FIELDS)})
+    if order not in ("asc", "desc"):
+        raise APIError(
+            status_code=400, code="invalid_order", detail="order must be 'asc' or 'desc'")
 
-    if end_time:
-        query["schedule_details.end_time"] = {"$lte": end_time}
+    query = build_filter_query(day, start_time, end_time, category)
+    pipeline = [{"$match": query}, *sort_pipeline(sort, order)]
+    if page_size:
+        pipeline.extend([{"$skip": (page - 1) * page_size}, {"$limit": page_size}])
 
     # Query the database
     activities = {}
-    for activity in activities_collection.find(query):
+    for activity in activities_collection.aggregate(pipeline):
         name = activity.pop('_id')
         activities[name] = activity
 
+    response.headers["X-Total-Count"] = str(activities_collection.count_documents(query))
     return activities
 
 
+def sort_pipeline(sort: str, order: str) -> List[Dict[str, Any]]:
+    """Aggregation stages that sort activities, computing spots_left and fill on the way"""
+    direction = 1 if order == "asc" else -1
+    stages: List[Dict[str, Any]] = []
+    if sort in ("spots_left", "fill"):
+        enrolled = {"$size": "$participants"}
+        stages.append({"$addFields": {
+            "spots_left": {"$subtract": ["$max_participants", enrolled]},
+            "fill": {"$divide": [enrolled, "$max_participants"]}
+        }})
+
+    sort_spec = {SORT_FIELDS[sort]: direction}
+    if sort != "name":
+        sort_spec["_id"] = 1
+    stages.append({"$sort": sort_spec})
+
+    if sort in ("spots_left", "fill"):
+        stages.append({"$project": {"spots_left": 0, "fill": 0}})
+    return stages
+
+
+def build_filter_query(
+    day: Optional[List[str]],
+    start_time: Optional[str],
+    end_time: Optional[str],
+    category: Optional[str]
+) -> Dict[str, Any]:
+    """Build the Mongo query for the day, time and category filters"""
+    query = {}
+
+    days = [d.strip() for value in day or [] for d in value.split(",") if d.strip()]
+    if days:
+        invalid_days = [d for d in days if d not in VALID_DAYS]
+        if invalid_days:
+            raise APIError(
+                status_code=400, code="invalid_days",
+                detail=f"Invalid day(s): {', '.join(invalid_days)}",
+                params={"days": invalid_days})
+        query["schedule_details.days"] = {"$in": days}
+
+    # Normalize to zero-padded HH:MM so the times compare as strings
+    window = []
+    for value in (start_time, end_time):
+        parsed = parse_time(value) if value else None
+        if value and not parsed:
+            raise APIError(
+                status_code=400, code="invalid_time",
+                detail="start_time and end_time must use 24-hour HH:MM format")
+        window.append(parsed.strftime("%H:%M") if parsed else None)
+    start_time, end_time = window
+
+    if start_time and end_time and end_time <= start_time:
+        raise APIError(
+            status_code=400, code="end_before_start", detail="end_time must be after start_time")
+
+    # Overlap: the activity ends after the window opens and starts before it closes
+    if start_time:
+        query["schedule_details.end_time"] = {"$gt": start_time}
+
+    if end_time:
+        query["schedule_details.start_time"] = {"$lt": end_time}
+
+    if category:
+        query["category"] = category
+
+    return query
+
+
+@router.get("/search", response_model=List[Dict[str, Any]])
+def search_activities(
+    q: str = Query(..., min_length=1, description="Search text"),
+    day: Optional[List[str]] = Query(None),
+    start_time: Optional[str] = None,
+    end_time: Optional[str] = None,
+    category: Optional[str] = None
+) -> List[Dict[str, Any]]:
+    """
+    Search activities, most relevant first
+
+    Descriptions and schedules are matched through the activities text index
+    (word stemming, so "paint" finds "painting"); each query term found in the
+    activity name adds NAME_MATCH_WEIGHT. Accepts the same filters as GET /activities.
+    Each result is the activity's details plus its `name` and relevance `score`.
+    """
+    terms = re.findall(r"\w+", q.lower())
+    if not terms:
+        return []
+
+    filters = build_filter_query(day, start_time, end_time, category)
+    scores: Dict[str, float] = {}
+    found: Dict[str, Dict[str, Any]] = {}
+
+    for activity in activities_collection.find(
+            {**filters, "$text": {"$search": q}},
+            {"score": {"$meta": "textScore"}}):
+        scores[activity["_id"]] = activity.pop("score")
+        found[activity["_id"]] = activity
+
+    name_pattern = "|".join(re.escape(t) for t in terms)
+    for activity in activities_collection.find(
+            {**filters, "_id": {"$regex": name_pattern, "$options": "i"}}):
+        name = activity["_id"]
+        matched = sum(1 for t in terms if t in name.lower())
+        scores[name] = scores.get(name, 0.0) + matched * NAME_MATCH_WEIGHT
+        found.setdefault(name, activity)
+
+    ranked = sorted(found, key=lambda name: (-scores[name], name))
+    results = []
+    for name in ranked:
+        activity = {k: v for k, v in found[name].items() if k != "_id"}
+        results.append({"name": name, "score": round(scores[name], 3), **activity})
+    return results
+
+
 @router.get("/days", response_model=List[str])
 def get_available_days() -> List[str]:
     """Get a list of all days that have activities scheduled"""
@@ -66,64 +491,308 @@ def get_available_days() -> List[str]:
     return days
 
 
+@router.post("", status_code=201)
+@router.post("/", status_code=201)
+def create_activity(
+    name: str = Body(...),
+    description: str = Body(...),
+    schedule_details: Dict[str, Any] = Body(...),
+    max_participants: int = Body(...),
+    category: str = Body(...),
+    sponsors: Optional[List[str]] = Body(None),
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> Dict[str, Any]:
+    """
+    Create a new activity - requires teacher authentication
+
+    Teachers become the sponsor of the activities they create. Admins may pass
+    `sponsors` to assign other teachers; an empty list keeps the creator.
+    """
+    name = name.strip()
+    description = description.strip()
+    if not name or not description:
+        raise APIError(
+            status_code=400, code="activity_fields_required",
+            detail="Name and description are required")
+    validate_activity_name(name)
+
+    if activities_collection.find_one({"_id": name}):
+        raise APIError(
+            status_code=409, code="activity_exists",
+            detail="An activity with this name already exists")
+
+    details = validate_schedule_details(schedule_details)
+    doc = {
+        "_id": name,
+        "description": description,
+        "schedule": format_schedule(details),
+        "schedule_details": details,
+        "category": validate_category(category),
+        "max_participants": validate_max_participants(max_participants),
+        "sponsors": [teacher["username"]],
+        "participants": [],
+        "waitlist": []
+    }
+    if sponsors is not None:
+        if not is_admin(teacher):
+            raise APIError(
+                status_code=403, code="admin_only_sponsors",
+                detail="Only admins can assign sponsors")
+        if sponsors:
+            doc["sponsors"] = validate_sponsors(sponsors)
+
+    activities_collection.insert_one(doc)
+    audit.record("activity_created", teacher, "activity", name,
+                 after=activity_snapshot(doc), activity=name)
+    publish_activity("activity_created", name)
+
+    activity = activities_collection.find_one({"_id": name})
+    activity.pop("_id")
+    return {"name": name, **activity}
+
+
+@router.put("/{activity_name}")
+def update_activity(
+    activity_name: str,
+    description: Optional[str] = Body(None),
+    schedule_details: Optional[Dict[str, Any]] = Body(None),
+    max_participants: Optional[int] = Body(None),
+    category: Optional[str] = Body(None),
+    sponsors: Optional[List[str]] = Body(None),
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> Dict[str, Any]:
+    """Update an existing activity - requires an admin or one of its sponsors"""
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    ensure_can_manage_activity(teacher, activity)
+
+    updates = {}
+    if description is not None:
+        if not description.strip():
+            raise APIError(
+                status_code=400, code="description_required", detail="Description cannot be empty")
+        updates["description"] = description.strip()
+    if schedule_details is not None:
+        details = validate_schedule_details(schedule_details)
+        updates["schedule_details"] = details
+        updates["schedule"] = format_schedule(details)
+    if max_participants is not None:
+        updates["max_participants"] = validate_max_participants(
+            max_participants, len(activity["participants"]))
+    if category is not None:
+        updates["category"] = validate_category(category)
+    if sponsors is not None:
+        if not is_admin(teacher):
+            raise APIError(
+                status_code=403, code="admin_only_sponsors",
+                detail="Only admins can assign sponsors")
+        updates["sponsors"] = validate_sponsors(sponsors)
+
+    if not updates:
+        raise APIError(status_code=400, code="no_updates", detail="No updates provided")
+
+    activities_collection.update_one({"_id": activity_name}, {"$set": updates})
+    before, after = audit.changed_fields(activity, updates)
+    if after:
+        audit.record("activity_updated", teacher, "activity", activity_name,
+                     before=before, after=after, activity=activity_name)
+
+    # Raising capacity opens spots for waitlisted students
+    promoted = promote_from_waitlist(activity_name, teacher)
+    publish_activity("activity_updated", activity_name, promoted=promoted)
+
+    updated = activities_collection.find_one({"_id": activity_name})
+    updated.pop("_id")
+    return {"name": activity_name, **updated, "promoted": promoted}
+
+
+@router.delete("/{activity_name}")
+def delete_activity(activity_name: str, teacher: Dict[str, Any] = Depends(require_teacher)):
+    """
+    Delete an activity - requires an admin or one of its sponsors
+
+    Its attendance records, undo tokens and announcement targeting go with it.
+    """
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    ensure_can_manage_activity(teacher, activity)
+
+    activities_collection.delete_one({"_id": activity_name})
+    # The snapshot keeps the participants and waitlist that were removed with it
+    audit.record("activity_deleted", teacher, "activity", activity_name,
+                 before=activity_snapshot(activity), activity=activity_name)
+    remove_activity_references(activity_name, teacher)
+    events.publish("activity_deleted", activity=activity_name)
+
+    return {"message": f"Deleted {activity_name}"}
+
+
 @router.post("/{activity_name}/signup")
-def signup_for_activity(activity_name: str, email: str, teacher_username: Optional[str] = Query(None)):
-    """Sign up a student for an activity - requires teacher authentication"""
-    # Check teacher authentication
-    if not teacher_username:
-        raise HTTPException(
-            status_code=401, detail="Authentication required for this action")
-
-    teacher = teachers_collection.find_one({"_id": teacher_username})
-    if not teacher:
-        raise HTTPException(
-            status_code=401, detail="Invalid teacher credentials")
+def signup_for_activity(
+    activity_name: str,
+    email: str,
+    force: bool = Query(False, description="Admins only: register despite schedule conflicts"),
+    teacher: Dict[str, Any] = Depends(require_teacher)
+):
+    """
+    Sign up a student for an activity - requires teacher authentication
+
+    Rejects the signup with 409 `schedule_conflict` when the student already
+    has an activity at an overlapping time; `params.conflicts` lists the
+    clashing activities. Admins can pass `force=true` to register anyway.
+    """
+    validate_email(email)
 
     # Get the activity
     activity = activities_collection.find_one({"_id": activity_name})
     if not activity:
-        raise HTTPException(status_code=404, detail="Activity not found")
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
 
     # Validate student is not already signed up
     if email in activity["participants"]:
-        raise HTTPException(
-            status_code=400, detail="Already signed up for this activity")
+        raise APIError(
+            status_code=400, code="already_signed_up", detail="Already signed up for this activity")
 
-    # Add student to participants
-    result = activities_collection.update_one(
-        {"_id": activity_name},
-        {"$push": {"participants": email}}
-    )
+    # Check the student's other activities for overlapping meetings
+    if force and not is_admin(teacher):
+        raise APIError(
+            status_code=403, code="admin_only_force",
+            detail="Only admins can override schedule conflicts")
 
-    if result.modified_count == 0:
-        raise HTTPException(
-            status_code=500, detail="Failed to update activity")
+    conflicts = find_schedule_conflicts(
+        email, activity_name, activity.get("schedule_details"))
+    if conflicts and not force:
+        raise APIError(
+            status_code=409, code="schedule_conflict",
+            detail=f"{email} already has activities at overlapping times",
+            params={"conflicts": conflicts})
+
+    if not add_participant(activity_name, email):
+        current = activities_collection.find_one({"_id": activity_name})
+        if not current:
+            raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+        if email in current["participants"]:
+            raise APIError(
+                status_code=400, code="already_signed_up",
+                detail="Already signed up for this activity")
+        if len(current["participants"]) >= current["max_participants"]:
+            raise APIError(
+                status_code=409, code="activity_full", detail="Activity is full")
+        raise APIError(
+            status_code=500, code="update_failed", detail="Failed to update activity")
 
+    # `activity` was read before the update, so it still has any waitlist position
+    audit.record_student_change(
+        "signup", teacher, activity_name, email,
+        before=student_status(activity, email), after={"status": "registered"})
+    publish_activity("signup", activity_name, email=email)
     return {"message": f"Signed up {email} for {activity_name}"}
 
 
+@router.post("/{activity_name}/signup/batch")
+def batch_signup(
+    activity_name: str,
+    emails: List[str] = Body(..., embed=True),
+    force: bool = Query(False, description="Admins only: register despite schedule conflicts"),
+    teacher: Dict[str, Any] = Depends(require_teacher)
+):
+    """
+    Sign up several students at once - requires teacher authentication
+
+    Emails are processed in order, each duplicate once, and every email gets
+    its own result instead of one failure rejecting the batch: `added`,
+    `already_registered`, `invalid`, `full` or `schedule_conflict` (with the
+    clashing `conflicts`). Admins can pass `force=true` to register anyway.
+    """
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    if force and not is_admin(teacher):
+        raise APIError(
+            status_code=403, code="admin_only_force",
+            detail="Only admins can override schedule conflicts")
+
+    emails = list(dict.fromkeys(e.strip() for e in emails if e.strip()))
+    if not emails:
+        raise APIError(status_code=400, code="no_emails", detail="Provide at least one email")
+    if len(emails) > MAX_BATCH_SIZE:
+        raise APIError(
+            status_code=400, code="batch_too_large",
+            detail=f"At most {MAX_BATCH_SIZE} students can be registered at once",
+            params={"max": MAX_BATCH_SIZE})
+
+    results = []
+    added = []
+    for email in emails:
+        if not is_valid_email(email):
+            results.append({"email": email, "status": "invalid"})
+            continue
+
+        # Re-read each time so waitlist positions and capacity are current
+        activity = activities_collection.find_one({"_id": activity_name})
+        if not activity:
+            raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+        if email in activity["participants"]:
+            results.append({"email": email, "status": "already_registered"})
+            continue
+
+        conflicts = find_schedule_conflicts(
+            email, activity_name, activity.get("schedule_details"))
+        if conflicts and not force:
+            results.append({"email": email, "status": "schedule_conflict", "conflicts": conflicts})
+            continue
+
+        if not add_participant(activity_name, email):
+            # Another request registered this student or took the last spot
+            current = activities_collection.find_one({"_id": activity_name})
+            registered = current is not None and email in current["participants"]
+            results.append({"email": email, "status": "already_registered" if registered else "full"})
+            continue
+
+        audit.record_student_change(
+            "signup", teacher, activity_name, email,
+            before=student_status(activity, email), after={"status": "registered"})
+        added.append(email)
+        results.append({"email": email, "status": "added"})
+
+    # One live update for the whole batch
+    if added:
+        publish_activity("signup", activity_name, emails=added)
+
+    counts = {status: 0 for status in BATCH_STATUSES}
+    for result in results:
+        counts[result["status"]] += 1
+
+    return {
+        "message": f"Signed up {len(added)} of {len(emails)} students for {activity_name}",
+        "counts": counts,
+        "results": results
+    }
+
+
 @router.post("/{activity_name}/unregister")
-def unregister_from_activity(activity_name: str, email: str, teacher_username: Optional[str] = Query(None)):
-    """Remove a student from an activity - requires teacher authentication"""
-    # Check teacher authentication
-    if not teacher_username:
-        raise HTTPException(
-            status_code=401, detail="Authentication required for this action")
-
-    teacher = teachers_collection.find_one({"_id": teacher_username})
-    if not teacher:
-        raise HTTPException(
-            status_code=401, detail="Invalid teacher credentials")
+def unregister_from_activity(activity_name: str, email: str, teacher: Dict[str, Any] = Depends(require_teacher)):
+    """
+    Remove a student from an activity - requires teacher authentication
 
+    The response includes an `undo` token that puts the student back in their
+    place through /unregister/undo for UNDO_WINDOW.
+    """
     # Get the activity
     activity = activities_collection.find_one({"_id": activity_name})
     if not activity:
-        raise HTTPException(status_code=404, detail="Activity not found")
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
 
     # Validate student is signed up
     if email not in activity["participants"]:
-        raise HTTPException(
-            status_code=400, detail="Not registered for this activity")
+        raise APIError(
+            status_code=400, code="not_registered", detail="Not registered for this activity")
+    position = activity["participants"].index(email)
 
     # Remove student from participants
     result = activities_collection.update_one(
@@ -132,7 +801,138 @@ def unregister_from_activity(activity_name: str, email: str, teacher_username: O
     )
 
     if result.modified_count == 0:
-        raise HTTPException(
-            status_code=500, detail="Failed to update activity")
+        raise APIError(
+            status_code=500, code="update_failed", detail="Failed to update activity")
+
+    audit.record_student_change(
+        "unregister", teacher, activity_name, email,
+        before={"status": "registered"}, after=None)
+
+    token = secrets.token_urlsafe(16)
+    expires_at = datetime.now(timezone.utc) + UNDO_WINDOW
+    undo_collection.insert_one({
+        "_id": token,
+        "activity": activity_name,
+        "email": email,
+        "position": position,
+        "expires_at": expires_at
+    })
+
+    # Give the freed spot to the first student on the waitlist
+    promoted = promote_from_waitlist(activity_name, teacher)
+    publish_activity("unregister", activity_name, email=email, promoted=promoted)
+
+    message = f"Unregistered {email} from {activity_name}"
+    if promoted:
+        message += f". {', '.join(promoted)} moved up from the waitlist"
+
+    return {
+        "message": message,
+        "promoted": promoted,
+        "undo": {"token": token, "expires_at": expires_at.isoformat().replace("+00:00", "Z")}
+    }
+
+
+@router.post("/{activity_name}/unregister/undo")
+def undo_unregister(activity_name: str, token: str, teacher: Dict[str, Any] = Depends(require_teacher)):
+    """
+    Undo an unregister - requires teacher authentication
+
+    Puts the student back at their original place in the participants list.
+    Answers 410 `undo_expired` once the undo window has passed and 409
+    `spot_taken` when the activity has filled up in the meantime, for example
+    because a waitlisted student moved into the freed spot.
+    """
+    undo = undo_collection.find_one({"_id": token, "activity": activity_name})
+    if not undo or is_expired(undo):
+        raise APIError(
+            status_code=410, code="undo_expired", detail="This unregister can no longer be undone")
+
+    email = undo["email"]
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+    if email in activity["participants"]:
+        raise APIError(
+            status_code=400, code="already_signed_up", detail="Already signed up for this activity")
+
+    if not add_participant(activity_name, email, position=undo["position"]):
+        raise APIError(
+            status_code=409, code="spot_taken",
+            detail=f"{activity_name} has filled up since {email} was unregistered",
+            params={"activity": activity_name, "email": email})
+
+    undo_collection.delete_one({"_id": token})
+    audit.record_student_change(
+        "unregister_undone", teacher, activity_name, email,
+        before=student_status(activity, email), after={"status": "registered"})
+    publish_activity("signup", activity_name, email=email)
+
+    return {"message": f"Restored {email} to {activity_name}", "position": undo["position"] + 1}
+
+
+@router.post("/{activity_name}/waitlist")
+def join_waitlist(activity_name: str, email: str, teacher: Dict[str, Any] = Depends(require_teacher)):
+    """Add a student to a full activity's waitlist - requires teacher authentication"""
+    validate_email(email)
+
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    if email in activity["participants"]:
+        raise APIError(
+            status_code=400, code="already_signed_up", detail="Already signed up for this activity")
+
+    if email in activity.get("waitlist", []):
+        raise APIError(
+            status_code=400, code="already_waitlisted",
+            detail="Already on the waitlist for this activity")
+
+    # Only queue when there is no free spot; the condition guards against a spot opening meanwhile
+    result = activities_collection.update_one(
+        {
+            "_id": activity_name,
+            "$expr": {"$gte": [{"$size": "$participants"}, "$max_participants"]}
+        },
+        {"$push": {"waitlist": email}}
+    )
+
+    if result.modified_count == 0:
+        raise APIError(
+            status_code=400, code="activity_has_spots",
+            detail="Activity still has open spots; register the student instead")
+
+    updated = activities_collection.find_one({"_id": activity_name})
+    position = updated["waitlist"].index(email) + 1
+    audit.record_student_change(
+        "waitlist_joined", teacher, activity_name, email,
+        before=None, after={"status": "waitlisted", "position": position})
+    publish_activity("waitlist", activity_name, email=email)
+    return {
+        "message": f"Added {email} to the waitlist for {activity_name} (position {position})",
+        "position": position
+    }
+
+
+@router.delete("/{activity_name}/waitlist")
+def leave_waitlist(activity_name: str, email: str, teacher: Dict[str, Any] = Depends(require_teacher)):
+    """Remove a student from an activity's waitlist - requires teacher authentication"""
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    result = activities_collection.update_one(
+        {"_id": activity_name},
+        {"$pull": {"waitlist": email}}
+    )
+
+    if result.modified_count == 0:
+        raise APIError(
+            status_code=400, code="not_waitlisted", detail="Not on the waitlist for this activity")
 
-    return {"message": f"Unregistered {email} from {activity_name}"}
+    audit.record_student_change(
+        "waitlist_removed", teacher, activity_name, email,
+        before=student_status(activity, email), after=None)
+    publish_activity("waitlist", activity_name, email=email)
+    return {"message": f"Removed {email} from the waitlist for {activity_name}"}
@@ -1,22 +1,41 @@
 """
 Announcements management endpoints
 
-Provides CRUD for announcements stored in the database. Simple auth: requires a
-valid teacher username as `teacher_username` query parameter for create/update/delete.
+Provides CRUD for announcements stored in the database. Create/update/delete
+require a valid session token in the Authorization header.
+
+Each announcement has a severity ("urgent", "warning" or "info") that sets its
+priority: active announcements are returned most urgent first.
+
+An optional audience limits where an announcement is shown:
+    {"type": "site"}                                  - the site-wide banner (default)
+    {"type": "activities", "activities": ["Chess Club"]} - cards of those activities
+    {"type": "category", "category": "sports"}        - cards of activities in a category
 """
 
-from fastapi import APIRouter, HTTPException, Query, Body
+from fastapi import APIRouter, Query, Body, Depends
 from typing import Dict, Any, List, Optional
 from datetime import datetime, date
 from bson import ObjectId
 
-from ..database import announcements_collection, teachers_collection
+from ..database import announcements_collection, activities_collection, categories_collection
+from ..sessions import require_teacher
+from ..permissions import ensure_can_manage_announcement
+from .. import events, audit
+from ..errors import APIError
 
 router = APIRouter(
     prefix="/announcements",
     tags=["announcements"]
 )
 
+# Highest priority first
+SEVERITIES = ["urgent", "warning", "info"]
+DEFAULT_SEVERITY = "info"
+
+AUDIENCE_TYPES = ["site", "activities", "category"]
+SITE_AUDIENCE = {"type": "site"}
+
 
 def parse_date(d: Optional[str]) -> Optional[date]:
     if not d:
@@ -27,10 +46,75 @@ def parse_date(d: Optional[str]) -> Optional[date]:
         return None
 
 
+def validate_severity(severity: str) -> str:
+    if severity not in SEVERITIES:
+        raise APIError(
+            status_code=400, code="invalid_severity",
+            detail=f"Severity must be one of: {', '.join(SEVERITIES)}",
+            params={"allowed": SEVERITIES})
+    return severity
+
+
+def validate_audience(audience: Optional[Dict[str, Any]]) -> Dict[str, Any]:
+    """Normalize an audience, checking that the targeted activities or category exist"""
+    if not audience:
+        return dict(SITE_AUDIENCE)
+
+    audience_type = audience.get("type", "site")
+    if audience_type not in AUDIENCE_TYPES:
+        raise APIError(
+            status_code=400, code="invalid_audience_type",
+            detail=f"Audience type must be one of: {', '.join(AUDIENCE_TYPES)}",
+            params={"allowed": AUDIENCE_TYPES})
+
+    if audience_type == "activities":
+        names = audience.get("activities")
+        if not isinstance(names, list) or not names:
+            raise APIError(
+                status_code=400, code="audience_activities_required",
+                detail="Choose at least one activity for this announcement")
+        unknown = [n for n in names if not activities_collection.find_one({"_id": n})]
+        if unknown:
+            raise APIError(
+                status_code=400, code="unknown_activities",
+                detail=f"Unknown activities: {', '.join(map(str, unknown))}",
+                params={"names": [str(n) for n in unknown]})
+        return {"type": "activities", "activities": names}
+
+    if audience_type == "category":
+        key = audience.get("category")
+        if not key or not categories_collection.find_one({"_id": key}):
+            raise APIError(
+                status_code=400, code="audience_category_required",
+                detail="Choose an existing category for this announcement")
+        return {"type": "category", "category": key}
+
+    return dict(SITE_AUDIENCE)
+
+
+def targets_activity(ann: Dict[str, Any], activity_name: str, category: Optional[str]) -> bool:
+    audience = ann.get("audience") or SITE_AUDIENCE
+    if audience["type"] == "activities":
+        return activity_name in audience.get("activities", [])
+    if audience["type"] == "category":
+        return category is not None and audience.get("category") == category
+    return False
+
+
+def priority_key(ann: Dict[str, Any]):
+    """Sort key: severity first, then the announcement expiring soonest"""
+    severity = ann.get("severity", DEFAULT_SEVERITY)
+    rank = SEVERITIES.index(severity) if severity in SEVERITIES else len(SEVERITIES)
+    return (rank, ann.get("expire_date", ""))
+
+
 def serialize_ann(ann: Dict[str, Any]) -> Dict[str, Any]:
     # Convert Mongo document to JSON-serializable dict
     out = {k: v for k, v in ann.items() if k != "_id"}
     out["id"] = str(ann.get("_id"))
+    out.setdefault("severity", DEFAULT_SEVERITY)
+    if not out.get("audience"):
+        out["audience"] = dict(SITE_AUDIENCE)
     return out
 
 
@@ -43,7 +127,29 @@ def list_announcements() -> List[Dict[str, Any]]:
 
 
 @router.get("/active", response_model=List[Dict[str, Any]])
-def list_active_announcements() -> List[Dict[str, Any]]:
+def list_active_announcements(
+    audience: Optional[str] = Query(None, description="Only announcements with this audience type"),
+    activity: Optional[str] = Query(None, description="Only announcements targeted at this activity"),
+) -> List[Dict[str, Any]]:
+    """
+    List started, unexpired announcements, most urgent first
+
+    `activity` matches announcements targeted at that activity directly or
+    through its category.
+    """
+    if audience is not None and audience not in AUDIENCE_TYPES:
+        raise APIError(
+            status_code=400, code="invalid_audience_type",
+            detail=f"Audience type must be one of: {', '.join(AUDIENCE_TYPES)}",
+            params={"allowed": AUDIENCE_TYPES})
+
+    activity_category = None
+    if activity is not None:
+        activity_doc = activities_collection.find_one({"_id": activity})
+        if not activity_doc:
+            raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+        activity_category = activity_doc.get("category")
+
     today = date.today()
     active = []
     for ann in announcements_collection.find():
@@ -57,11 +163,18 @@ def list_active_announcements() -> List[Dict[str, Any]]:
             # not started yet
             continue
 
-        if expire >= today:
-            active.append(serialize_ann(ann))
+        if expire < today:
+            continue
+
+        serialized = serialize_ann(ann)
+        if audience is not None and serialized["audience"]["type"] != audience:
+            continue
+        if activity is not None and not targets_activity(serialized, activity, activity_category):
+            continue
+
+        active.append(serialized)
 
-    # sort by expire_date asc
-    active.sort(key=lambda a: a.get("expire_date", ""))
+    active.sort(key=priority_key)
     return active
 
 
@@ -69,34 +182,42 @@ def list_active_announcements() -> List[Dict[str, Any]]:
 def create_announcement(
     title: str = Body(...),
     message: str = Body(...),
+    severity: str = Body(DEFAULT_SEVERITY),
+    audience: Optional[Dict[str, Any]] = Body(None),
     expire_date: str = Query(..., description="Expiration date (YYYY-MM-DD)"),
     start_date: Optional[str] = Query(None, description="Optional start date (YYYY-MM-DD)"),
-    teacher_username: str = Query(..., description="Teacher username for authentication"),
+    teacher: Dict[str, Any] = Depends(require_teacher),
 ):
-    # Simple auth: teacher must exist
-    teacher = teachers_collection.find_one({"_id": teacher_username})
-    if not teacher:
-        raise HTTPException(status_code=401, detail="Authentication required")
-
     # expire_date required
     exp = parse_date(expire_date)
     if not exp:
-        raise HTTPException(status_code=400, detail="Invalid expire_date format, expected YYYY-MM-DD")
+        raise APIError(
+            status_code=400, code="invalid_date",
+            detail="Invalid expire_date format, expected YYYY-MM-DD",
+            params={"field": "expire_date"})
 
     start = parse_date(start_date)
     if start and start > exp:
-        raise HTTPException(status_code=400, detail="start_date cannot be after expire_date")
+        raise APIError(
+            status_code=400, code="start_after_expire",
+            detail="start_date cannot be after expire_date")
 
     doc = {
         "title": title,
         "message": message,
+        "severity": validate_severity(severity),
+        "audience": validate_audience(audience),
         "start_date": start_date if start else None,
         "expire_date": expire_date,
-        "created_by": teacher_username,
+        "created_by": teacher["username"],
         "created_at": datetime.utcnow().isoformat() + "Z",
     }
 
+    after = dict(doc)
     result = announcements_collection.insert_one(doc)
+    audit.record("announcement_created", teacher, "announcement", str(result.inserted_id),
+                 label=title, after=after)
+    events.publish("announcement", action="created", id=str(result.inserted_id))
     doc["id"] = str(result.inserted_id)
     return serialize_ann({**doc, "_id": result.inserted_id})
 
@@ -106,58 +227,84 @@ def update_announcement(
     announcement_id: str,
     title: Optional[str] = Body(None),
     message: Optional[str] = Body(None),
+    severity: Optional[str] = Body(None),
+    audience: Optional[Dict[str, Any]] = Body(None),
     expire_date: Optional[str] = Query(None),
     start_date: Optional[str] = Query(None),
-    teacher_username: str = Query(...),
+    teacher: Dict[str, Any] = Depends(require_teacher),
 ):
-    teacher = teachers_collection.find_one({"_id": teacher_username})
-    if not teacher:
-        raise HTTPException(status_code=401, detail="Authentication required")
-
     try:
         oid = ObjectId(announcement_id)
     except Exception:
-        raise HTTPException(status_code=400, detail="Invalid announcement id")
+        raise APIError(
+            status_code=400, code="invalid_announcement_id",
+            detail="Invalid announcement id")
 
     ann = announcements_collection.find_one({"_id": oid})
     if not ann:
-        raise HTTPException(status_code=404, detail="Announcement not found")
+        raise APIError(
+            status_code=404, code="announcement_not_found",
+            detail="Announcement not found")
+
+    ensure_can_manage_announcement(teacher, ann)
 
     updates = {}
     if title is not None:
         updates["title"] = title
     if message is not None:
         updates["message"] = message
+    if severity is not None:
+        updates["severity"] = validate_severity(severity)
+    if audience is not None:
+        updates["audience"] = validate_audience(audience)
     if expire_date is not None:
         if not parse_date(expire_date):
-            raise HTTPException(status_code=400, detail="Invalid expire_date format")
+            raise APIError(
+                status_code=400, code="invalid_date",
+                detail="Invalid expire_date format",
+                params={"field": "expire_date"})
         updates["expire_date"] = expire_date
     if start_date is not None:
         if start_date != "" and not parse_date(start_date):
-            raise HTTPException(status_code=400, detail="Invalid start_date format")
+            raise APIError(
+                status_code=400, code="invalid_date",
+                detail="Invalid start_date format",
+                params={"field": "start_date"})
         updates["start_date"] = start_date if start_date != "" else None
 
     if not updates:
-        raise HTTPException(status_code=400, detail="No updates provided")
+        raise APIError(status_code=400, code="no_updates", detail="No updates provided")
 
     announcements_collection.update_one({"_id": oid}, {"$set": updates})
+    before, after = audit.changed_fields(ann, updates)
+    if after:
+        audit.record("announcement_updated", teacher, "announcement", announcement_id,
+                     label=updates.get("title", ann.get("title")), before=before, after=after)
+    events.publish("announcement", action="updated", id=announcement_id)
     updated = announcements_collection.find_one({"_id": oid})
     return serialize_ann(updated)
 
 
 @router.delete("/{announcement_id}")
-def delete_announcement(announcement_id: str, teacher_username: str = Query(...)):
-    teacher = teachers_collection.find_one({"_id": teacher_username})
-    if not teacher:
-        raise HTTPException(status_code=401, detail="Authentication required")
-
+def delete_announcement(announcement_id: str, teacher: Dict[str, Any] = Depends(require_teacher)):
     try:
         oid = ObjectId(announcement_id)
     except Exception:
-        raise HTTPException(status_code=400, detail="Invalid announcement id")
+        raise APIError(
+            status_code=400, code="invalid_announcement_id",
+            detail="Invalid announcement id")
+
+    ann = announcements_collection.find_one({"_id": oid})
+    if not ann:
+        raise APIError(
+            status_code=404, code="announcement_not_found",
+            detail="Announcement not found")
+
+    ensure_can_manage_announcement(teacher, ann)
 
-    result = announcements_collection.delete_one({"_id": oid})
-    if result.deleted_count == 0:
-        raise HTTPException(status_code=404, detail="Announcement not found")
+    announcements_collection.delete_one({"_id": oid})
+    audit.record("announcement_deleted", teacher, "announcement", announcement_id,
+                 label=ann.get("title"), before={k: v for k, v in ann.items() if k != "_id"})
+    events.publish("announcement", action="deleted", id=announcement_id)
 
     return {"message": "Announcement deleted"}
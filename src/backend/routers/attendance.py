@@ -0,0 +1,251 @@
+"""
+Attendance endpoints
+
+Attendance is recorded per activity and meeting date. Meeting dates come from
+the activity's schedule_details.days within the current term (see
+calendar.current_term). Each participant is marked present, absent or excused.
+Attendance rates count excused meetings as neither present nor absent.
+"""
+
+from datetime import date, datetime, timedelta
+from fastapi import APIRouter, Body, Depends
+from typing import Dict, Any, List, Optional, Tuple
+
+from ..database import activities_collection, attendance_collection
+from ..sessions import require_teacher
+from ..permissions import ensure_can_manage_activity, is_admin
+from .calendar import current_term, WEEKDAY_INDEX
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/attendance",
+    tags=["attendance"]
+)
+
+STATUSES = ["present", "absent", "excused"]
+
+# Longest date range a request may cover, so meeting_dates stays bounded
+MAX_RANGE_DAYS = 366
+
+
+def parse_date_param(value: Optional[str], name: str) -> Optional[date]:
+    if not value:
+        return None
+    try:
+        return date.fromisoformat(value)
+    except ValueError:
+        raise APIError(
+            status_code=400, code="invalid_date",
+            detail=f"Invalid {name} format, expected YYYY-MM-DD",
+            params={"field": name})
+
+
+def resolve_range(start_date: Optional[str], end_date: Optional[str]) -> Tuple[date, date]:
+    """Default to the current term up to today, or the previous term before this one starts"""
+    today = date.today()
+    term_start, term_end = current_term(today)
+    if today < term_start:
+        # In August current_term already returns the coming term
+        term_start, term_end = current_term(term_start.replace(year=term_start.year - 1))
+    start = parse_date_param(start_date, "start_date") or term_start
+    # A configured term may not have started yet; never end before it starts
+    end = parse_date_param(end_date, "end_date") or max(min(today, term_end), term_start)
+    if start > end:
+        raise APIError(
+            status_code=400, code="start_after_end", detail="start_date cannot be after end_date")
+    if (end - start).days >= MAX_RANGE_DAYS:
+        raise APIError(
+            status_code=400, code="date_range_too_long",
+            detail=f"Date ranges can cover at most {MAX_RANGE_DAYS} days",
+            params={"max_days": MAX_RANGE_DAYS})
+    return start, end
+
+
+def meeting_dates(activity: Dict[str, Any], start: date, end: date) -> List[date]:
+    """Dates between start and end (inclusive) on which the activity meets"""
+    details = activity.get("schedule_details")
+    if not details:
+        return []
+
+    weekdays = {WEEKDAY_INDEX[d] for d in details["days"] if d in WEEKDAY_INDEX}
+    dates = []
+    current = start
+    while current <= end:
+        if current.weekday() in weekdays:
+            dates.append(current)
+        current += timedelta(days=1)
+    return dates
+
+
+def summarize(counts: Dict[str, int]) -> Dict[str, Any]:
+    """Add an attendance rate (present / (present + absent)) to status counts"""
+    counted = counts["present"] + counts["absent"]
+    return {**counts, "rate": round(counts["present"] / counted, 3) if counted else None}
+
+
+def get_activity_or_404(activity_name: str) -> Dict[str, Any]:
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+    return activity
+
+
+@router.get("/activities/{activity_name}")
+def get_activity_attendance(
+    activity_name: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> Dict[str, Any]:
+    """
+    Get attendance for one activity over a date range
+
+    Lists every meeting date in the range with its recorded statuses (empty
+    when not taken yet) and per-student totals and rates. `students` covers the
+    current participants (`registered`) and anyone with records in the range
+    who has since left. Limited to the activity's sponsors and admins.
+    """
+    activity = get_activity_or_404(activity_name)
+    ensure_can_manage_activity(teacher, activity)
+    start, end = resolve_range(start_date, end_date)
+
+    recorded = {
+        doc["date"]: doc
+        for doc in attendance_collection.find({
+            "activity": activity_name,
+            "date": {"$gte": start.isoformat(), "$lte": end.isoformat()}
+        })
+    }
+
+    students: Dict[str, Dict[str, int]] = {
+        email: {s: 0 for s in STATUSES} for email in activity["participants"]}
+    meetings = []
+    for meeting in meeting_dates(activity, start, end):
+        doc = recorded.get(meeting.isoformat())
+        records = {r["email"]: r["status"] for r in doc["records"]} if doc else {}
+        for email, status in records.items():
+            students.setdefault(email, {s: 0 for s in STATUSES})[status] += 1
+        meetings.append({
+            "date": meeting.isoformat(),
+            "records": records,
+            "recorded_by": doc.get("recorded_by") if doc else None,
+            "updated_at": doc.get("updated_at") if doc else None
+        })
+
+    return {
+        "activity": activity_name,
+        "start_date": start.isoformat(),
+        "end_date": end.isoformat(),
+        "meetings": meetings,
+        "students": [
+            {"email": email, "registered": email in activity["participants"], **summarize(counts)}
+            for email, counts in sorted(students.items())
+        ]
+    }
+
+
+@router.put("/activities/{activity_name}/{meeting_date}")
+def record_attendance(
+    activity_name: str,
+    meeting_date: str,
+    records: Dict[str, str] = Body(..., embed=True),
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> Dict[str, Any]:
+    """
+    Record attendance for one meeting - requires a sponsor or an admin
+
+    `records` maps participant emails to "present", "absent" or "excused".
+    Statuses for students not included are left unchanged.
+    """
+    activity = get_activity_or_404(activity_name)
+    ensure_can_manage_activity(teacher, activity)
+    day = parse_date_param(meeting_date, "date")
+
+    if day > date.today():
+        raise APIError(
+            status_code=400, code="attendance_future_date",
+            detail="Cannot record attendance for a future date")
+
+    if not meeting_dates(activity, day, day):
+        raise APIError(
+            status_code=400, code="not_a_meeting_date",
+            detail=f"{activity_name} does not meet on {meeting_date}",
+            params={"activity": activity_name, "date": meeting_date})
+
+    unknown = [email for email in records if email not in activity["participants"]]
+    if unknown:
+        raise APIError(
+            status_code=400, code="students_not_registered",
+            detail=f"Not registered for this activity: {', '.join(unknown)}",
+            params={"emails": unknown})
+
+    invalid = [status for status in records.values() if status not in STATUSES]
+    if invalid:
+        raise APIError(
+            status_code=400, code="invalid_attendance_status",
+            detail=f"Status must be one of: {', '.join(STATUSES)}",
+            params={"allowed": STATUSES})
+
+    doc_id = f"{activity_name}|{day.isoformat()}"
+    existing = attendance_collection.find_one({"_id": doc_id})
+    merged = {r["email"]: r["status"] for r in existing["records"]} if existing else {}
+    merged.update(records)
+
+    attendance_collection.update_one(
+        {"_id": doc_id},
+        {"$set": {
+            "activity": activity_name,
+            "date": day.isoformat(),
+            "records": [{"email": e, "status": s} for e, s in merged.items()],
+            "recorded_by": teacher["username"],
+            "updated_at": datetime.utcnow().isoformat() + "Z"
+        }},
+        upsert=True
+    )
+
+    return {
+        "message": f"Saved attendance for {activity_name} on {day.isoformat()}",
+        "date": day.isoformat(),
+        "records": merged
+    }
+
+
+@router.get("/students/{email}")
+def get_student_attendance(
+    email: str,
+    start_date: Optional[str] = None,
+    end_date: Optional[str] = None,
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> Dict[str, Any]:
+    """
+    Get one student's attendance totals and rates per activity and overall
+
+    Like the activity endpoints, teachers only see the activities they sponsor;
+    admins see every activity.
+    """
+    start, end = resolve_range(start_date, end_date)
+
+    query: Dict[str, Any] = {
+        "records.email": email,
+        "date": {"$gte": start.isoformat(), "$lte": end.isoformat()}
+    }
+    if not is_admin(teacher):
+        sponsored = activities_collection.find({"sponsors": teacher["username"]}, {"_id": 1})
+        query["activity"] = {"$in": [a["_id"] for a in sponsored]}
+
+    per_activity: Dict[str, Dict[str, int]] = {}
+    for doc in attendance_collection.find(query):
+        for record in doc["records"]:
+            if record["email"] == email:
+                counts = per_activity.setdefault(doc["activity"], {s: 0 for s in STATUSES})
+                counts[record["status"]] += 1
+
+    overall = {s: sum(c[s] for c in per_activity.values()) for s in STATUSES}
+
+    return {
+        "email": email,
+        "start_date": start.isoformat(),
+        "end_date": end.isoformat(),
+        "activities": [{"activity": name, **summarize(counts)} for name, counts in sorted(per_activity.items())],
+        "overall": summarize(overall)
+    }
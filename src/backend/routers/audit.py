@@ -0,0 +1,86 @@
+"""
+Audit log viewer - admin only
+
+Lists the entries written by backend/audit.py, newest first. Filters combine:
+activity and teacher (the acting username) match exactly, student matches any
+part of the email, and start_date / end_date select whole days (UTC).
+"""
+
+import re
+from datetime import timedelta
+from fastapi import APIRouter, Depends, Query, Response
+from typing import Dict, Any, List, Optional
+
+from ..database import audit_collection
+from ..permissions import require_admin
+from ..audit import ACTIONS
+from .attendance import parse_date_param
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/audit",
+    tags=["audit"]
+)
+
+DEFAULT_PAGE_SIZE = 50
+MAX_PAGE_SIZE = 100
+
+
+def serialize_entry(entry: Dict[str, Any]) -> Dict[str, Any]:
+    out = {k: v for k, v in entry.items() if k != "_id"}
+    out["id"] = str(entry["_id"])
+    return out
+
+
+@router.get("", response_model=List[Dict[str, Any]])
+@router.get("/", response_model=List[Dict[str, Any]])
+def list_audit_entries(
+    response: Response,
+    activity: Optional[str] = None,
+    student: Optional[str] = None,
+    teacher: Optional[str] = Query(None, description="Username of the teacher who made the change"),
+    action: Optional[str] = None,
+    start_date: Optional[str] = Query(None, description="First day to include (YYYY-MM-DD)"),
+    end_date: Optional[str] = Query(None, description="Last day to include (YYYY-MM-DD)"),
+    page: int = Query(1, ge=1),
+    page_size: int = Query(DEFAULT_PAGE_SIZE, ge=1, le=MAX_PAGE_SIZE),
+    admin: Dict[str, Any] = Depends(require_admin)
+) -> List[Dict[str, Any]]:
+    """List audit entries, newest first. X-Total-Count holds the number of matches."""
+    if action is not None and action not in ACTIONS:
+        raise APIError(
+            status_code=400, code="invalid_action",
+            detail=f"action must be one of: {', '.join(ACTIONS)}",
+            params={"allowed": ACTIONS})
+
+    start = parse_date_param(start_date, "start_date")
+    end = parse_date_param(end_date, "end_date")
+    if start and end and start > end:
+        raise APIError(
+            status_code=400, code="start_after_end", detail="start_date cannot be after end_date")
+
+    query: Dict[str, Any] = {}
+    if activity:
+        query["activity"] = activity
+    if student:
+        query["student"] = {"$regex": re.escape(student.strip()), "$options": "i"}
+    if teacher:
+        query["actor.username"] = teacher
+    if action:
+        query["action"] = action
+
+    # Timestamps are ISO 8601 strings, so whole days compare as string prefixes
+    if start or end:
+        query["timestamp"] = {}
+        if start:
+            query["timestamp"]["$gte"] = start.isoformat()
+        if end:
+            query["timestamp"]["$lt"] = (end + timedelta(days=1)).isoformat()
+
+    entries = (audit_collection.find(query)
+               .sort([("timestamp", -1), ("_id", -1)])
+               .skip((page - 1) * page_size)
+               .limit(page_size))
+
+    response.headers["X-Total-Count"] = str(audit_collection.count_documents(query))
+    return [serialize_entry(e) for e in entries]
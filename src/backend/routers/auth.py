@@ -2,10 +2,13 @@
 Authentication endpoints for the High School Management System API
 """
 
-from fastapi import APIRouter, HTTPException
-from typing import Dict, Any
+from fastapi import APIRouter, Depends
+from fastapi.security import HTTPAuthorizationCredentials
+from typing import Dict, Any, Optional
 
 from ..database import teachers_collection, verify_password
+from ..sessions import create_session, revoke_session, require_teacher, bearer_scheme
+from ..errors import APIError
 
 router = APIRouter(
     prefix="/auth",
@@ -21,25 +24,29 @@ def login(username: str, password: str) -> Dict[str, Any]:
 
     # Verify password using Argon2 verifier from database.py
     if not teacher or not verify_password(teacher.get("password", ""), password):
-        raise HTTPException(
-            status_code=401, detail="Invalid username or password")
+        raise APIError(
+            status_code=401, code="invalid_credentials", detail="Invalid username or password")
 
-    # Return teacher information (excluding password)
+    # Return a session token with the teacher information (excluding password)
     return {
+        **create_session(teacher["username"]),
         "username": teacher["username"],
         "display_name": teacher["display_name"],
         "role": teacher["role"]
     }
 
 
-@router.get("/check-session")
-def check_session(username: str) -> Dict[str, Any]:
-    """Check if a session is valid by username"""
-    teacher = teachers_collection.find_one({"_id": username})
+@router.post("/logout")
+def logout(credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme)) -> Dict[str, Any]:
+    """Revoke the session token sent in the Authorization header"""
+    if credentials:
+        revoke_session(credentials.credentials)
+    return {"message": "Logged out"}
 
-    if not teacher:
-        raise HTTPException(status_code=404, detail="Teacher not found")
 
+@router.get("/check-session")
+def check_session(teacher: Dict[str, Any] = Depends(require_teacher)) -> Dict[str, Any]:
+    """Check that the session token is valid and return the signed-in teacher"""
     return {
         "username": teacher["username"],
         "display_name": teacher["display_name"],
@@ -0,0 +1,178 @@
+"""
+iCalendar (RFC 5545) feeds for activities
+
+Each activity becomes one weekly recurring event built from its
+schedule_details. Times are written as floating local times, so calendar apps
+show them in the school's local time. Feeds need no sign-in so calendar apps
+can subscribe to them. A student's feed would reveal their weekly whereabouts,
+so it is served under a secret per-student token rather than their email;
+teachers get the link from the student profile.
+"""
+
+import os
+import re
+import secrets
+from datetime import date, datetime, timedelta, timezone
+from typing import Dict, Any, List, Tuple
+
+from fastapi import APIRouter
+from fastapi.responses import Response
+
+from ..database import activities_collection, calendar_tokens_collection
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/calendar",
+    tags=["calendar"]
+)
+
+ICAL_DAYS = {
+    "Monday": "MO", "Tuesday": "TU", "Wednesday": "WE", "Thursday": "TH",
+    "Friday": "FR", "Saturday": "SA", "Sunday": "SU"
+}
+WEEKDAY_INDEX = {day: i for i, day in enumerate(ICAL_DAYS)}
+
+
+def current_term(today: date) -> Tuple[date, date]:
+    """
+    Return the (start, end) dates of the school term that contains `today`.
+
+    Uses TERM_START_DATE / TERM_END_DATE (YYYY-MM-DD) when set, otherwise the
+    school year running from September 1 to June 30.
+    """
+    start_env = os.environ.get("TERM_START_DATE")
+    end_env = os.environ.get("TERM_END_DATE")
+    if start_env and end_env:
+        return date.fromisoformat(start_env), date.fromisoformat(end_env)
+
+    start_year = today.year if today.month >= 8 else today.year - 1
+    return date(start_year, 9, 1), date(start_year + 1, 6, 30)
+
+
+def escape_text(value: str) -> str:
+    """Escape a TEXT value (RFC 5545 section 3.3.11)"""
+    return (value.replace("\\", "\\\\").replace(";", "\\;")
+            .replace(",", "\\,").replace("\r\n", "\\n").replace("\n", "\\n"))
+
+
+def fold_line(line: str) -> str:
+    """Fold a content line to at most 75 octets (RFC 5545 section 3.1)"""
+    encoded = line.encode("utf-8")
+    if len(encoded) <= 75:
+        return line
+
+    parts = []
+    limit = 75
+    while encoded:
+        cut = min(limit, len(encoded))
+        # Do not split a multi-byte UTF-8 character
+        while cut < len(encoded) and (encoded[cut] & 0xC0) == 0x80:
+            cut -= 1
+        parts.append(encoded[:cut].decode("utf-8"))
+        encoded = encoded[cut:]
+        limit = 74  # continuation lines start with a space
+    return "\r\n ".join(parts)
+
+
+def first_meeting(days: List[str], term_start: date) -> date:
+    """First date on or after the term start that falls on one of the meeting days"""
+    for offset in range(7):
+        candidate = term_start + timedelta(days=offset)
+        if any(WEEKDAY_INDEX[d] == candidate.weekday() for d in days):
+            return candidate
+    return term_start
+
+
+def activity_uid(name: str) -> str:
+    slug = re.sub(r"[^a-z0-9]+", "-", name.lower()).strip("-")
+    return f"activity-{slug}@mergington.edu"
+
+
+def build_event(name: str, activity: Dict[str, Any], term: Tuple[date, date], stamp: str) -> List[str]:
+    details = activity.get("schedule_details")
+    if not details or not details.get("days"):
+        return []
+
+    term_start, term_end = term
+    start_day = first_meeting(details["days"], term_start)
+    start_time = details["start_time"].replace(":", "")
+    end_time = details["end_time"].replace(":", "")
+    by_day = ",".join(ICAL_DAYS[d] for d in details["days"] if d in ICAL_DAYS)
+
+    return [
+        "BEGIN:VEVENT",
+        f"UID:{activity_uid(name)}",
+        f"DTSTAMP:{stamp}",
+        f"DTSTART:{start_day.strftime('%Y%m%d')}T{start_time}00",
+        f"DTEND:{start_day.strftime('%Y%m%d')}T{end_time}00",
+        f"RRULE:FREQ=WEEKLY;BYDAY={by_day};UNTIL={term_end.strftime('%Y%m%d')}T235959",
+        f"SUMMARY:{escape_text(name)}",
+        f"DESCRIPTION:{escape_text(activity.get('description', ''))}",
+        "LOCATION:Mergington High School",
+        "END:VEVENT",
+    ]
+
+
+def build_calendar(title: str, activities: List[Tuple[str, Dict[str, Any]]]) -> str:
+    stamp = datetime.now(timezone.utc).strftime("%Y%m%dT%H%M%SZ")
+    term = current_term(date.today())
+
+    lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Mergington High School//Activities//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        f"X-WR-CALNAME:{escape_text(title)}",
+    ]
+    for name, activity in activities:
+        lines.extend(build_event(name, activity, term, stamp))
+    lines.append("END:VCALENDAR")
+
+    return "\r\n".join(fold_line(line) for line in lines) + "\r\n"
+
+
+def calendar_response(content: str, filename: str) -> Response:
+    return Response(
+        content=content,
+        media_type="text/calendar; charset=utf-8",
+        headers={"Content-Disposition": f'inline; filename="{filename}"'}
+    )
+
+
+@router.get("/activities/{activity_name}.ics")
+def activity_calendar(activity_name: str) -> Response:
+    """iCalendar feed with the weekly meetings of one activity"""
+    activity = activities_collection.find_one({"_id": activity_name})
+    if not activity:
+        raise APIError(status_code=404, code="activity_not_found", detail="Activity not found")
+
+    content = build_calendar(activity_name, [(activity_name, activity)])
+    return calendar_response(content, f"{activity_uid(activity_name).split('@')[0]}.ics")
+
+
+def student_feed_url(email: str) -> str:
+    """URL of a student's calendar feed, creating its token on first use"""
+    calendar_tokens_collection.update_one(
+        {"_id": email},
+        {"$setOnInsert": {"token": secrets.token_urlsafe(24),
+                          "created_at": datetime.now(timezone.utc)}},
+        upsert=True
+    )
+    token = calendar_tokens_collection.find_one({"_id": email})["token"]
+    return f"/calendar/students/{token}.ics"
+
+
+@router.get("/students/{token}.ics")
+def student_calendar(token: str) -> Response:
+    """iCalendar feed with every activity a student is enrolled in"""
+    feed = calendar_tokens_collection.find_one({"token": token})
+    if not feed:
+        raise APIError(
+            status_code=404, code="calendar_feed_not_found", detail="Calendar feed not found")
+
+    email = feed["_id"]
+    activities = [(a["_id"], a) for a in activities_collection.find({"participants": email})]
+
+    content = build_calendar(f"Activities for {email}", activities)
+    return calendar_response(content, "activities.ics")
@@ -0,0 +1,107 @@
+"""
+Activity category endpoints
+
+Categories drive the activity tags and the category filter buttons in the UI.
+Anyone can list them; only admins can add or change them.
+"""
+
+import re
+from fastapi import APIRouter, Body, Depends
+from typing import Dict, Any, List, Optional
+
+from ..database import categories_collection
+from ..permissions import require_admin
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/categories",
+    tags=["categories"]
+)
+
+COLOR_PATTERN = re.compile(r"^#[0-9a-fA-F]{6}$")
+KEY_PATTERN = re.compile(r"^[a-z0-9-]+$")
+
+
+def serialize_category(category: Dict[str, Any]) -> Dict[str, Any]:
+    return {
+        "key": category["_id"],
+        "label": category["label"],
+        "color": category["color"],
+        "text_color": category["text_color"]
+    }
+
+
+def validate_colors(color: str, text_color: str) -> None:
+    if not COLOR_PATTERN.match(color) or not COLOR_PATTERN.match(text_color):
+        raise APIError(
+            status_code=400, code="invalid_color", detail="Colors must be hex values like #1a237e")
+
+
+@router.get("", response_model=List[Dict[str, Any]])
+@router.get("/", response_model=List[Dict[str, Any]])
+def list_categories() -> List[Dict[str, Any]]:
+    """Get all activity categories sorted by label"""
+    return [serialize_category(c) for c in categories_collection.find().sort("label", 1)]
+
+
+@router.post("", status_code=201)
+@router.post("/", status_code=201)
+def create_category(
+    key: str = Body(...),
+    label: str = Body(...),
+    color: str = Body(...),
+    text_color: str = Body(...),
+    teacher: Dict[str, Any] = Depends(require_admin)
+) -> Dict[str, Any]:
+    """Add a new category - admin only"""
+    key = key.strip().lower()
+    label = label.strip()
+    if not KEY_PATTERN.match(key) or not label:
+        raise APIError(
+            status_code=400, code="invalid_category_key",
+            detail="Key must use lowercase letters, digits or dashes and label is required")
+
+    validate_colors(color, text_color)
+
+    if categories_collection.find_one({"_id": key}):
+        raise APIError(
+            status_code=409, code="category_exists",
+            detail="A category with this key already exists")
+
+    doc = {"_id": key, "key": key, "label": label,
+           "color": color, "text_color": text_color}
+    categories_collection.insert_one(doc)
+    return serialize_category(doc)
+
+
+@router.put("/{key}")
+def update_category(
+    key: str,
+    label: Optional[str] = Body(None),
+    color: Optional[str] = Body(None),
+    text_color: Optional[str] = Body(None),
+    teacher: Dict[str, Any] = Depends(require_admin)
+) -> Dict[str, Any]:
+    """Change a category's label or colors - admin only"""
+    category = categories_collection.find_one({"_id": key})
+    if not category:
+        raise APIError(status_code=404, code="category_not_found", detail="Category not found")
+
+    updates = {}
+    if label is not None:
+        if not label.strip():
+            raise APIError(status_code=400, code="label_required", detail="Label cannot be empty")
+        updates["label"] = label.strip()
+    if color is not None:
+        updates["color"] = color
+    if text_color is not None:
+        updates["text_color"] = text_color
+
+    if not updates:
+        raise APIError(status_code=400, code="no_updates", detail="No updates provided")
+
+    validate_colors(updates.get("color", category["color"]),
+                    updates.get("text_color", category["text_color"]))
+
+    categories_collection.update_one({"_id": key}, {"$set": updates})
+    return serialize_category(categories_collection.find_one({"_id": key}))
@@ -0,0 +1,54 @@
+"""
+Server-Sent Events stream of data changes
+
+Clients open GET /events with an EventSource and receive:
+    signup, unregister, waitlist - {"activity", "email", "details"}
+        (a batch signup sends the added `emails` instead of `email`)
+    activity_created, activity_updated - {"activity", "details"}
+    activity_deleted - {"activity"}
+    announcement - {"action": "created" | "updated" | "deleted", "id"}
+    resync - the client missed events and should reload its data
+`details` is the activity as returned by GET /activities. The stream is public
+like GET /activities.
+"""
+
+import asyncio
+
+from fastapi import APIRouter, Request
+from fastapi.responses import StreamingResponse
+
+from .. import events
+
+router = APIRouter(
+    prefix="/events",
+    tags=["events"]
+)
+
+# Comment lines sent while idle keep proxies from closing the connection
+KEEPALIVE_SECONDS = 15
+
+
+@router.get("")
+async def stream_events(request: Request) -> StreamingResponse:
+    """Stream data change events until the client disconnects"""
+    queue = events.subscribe()
+
+    async def event_stream():
+        try:
+            # Reconnect quickly if the connection drops
+            yield "retry: 3000\n\n"
+            while not await request.is_disconnected():
+                try:
+                    event = await asyncio.wait_for(queue.get(), timeout=KEEPALIVE_SECONDS)
+                except asyncio.TimeoutError:
+                    yield ": keep-alive\n\n"
+                    continue
+                yield events.format_sse(event)
+        finally:
+            events.unsubscribe(queue)
+
+    return StreamingResponse(
+        event_stream(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"}
+    )
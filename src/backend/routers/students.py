@@ -0,0 +1,110 @@
+"""
+Student lookup endpoints
+
+Students are identified by email and only exist through their activity
+enrollments, so these endpoints are built from the activities collection.
+They require a signed-in teacher.
+"""
+
+import re
+from datetime import datetime
+from fastapi import APIRouter, Depends
+from typing import Dict, Any, List, Optional
+
+from ..database import activities_collection
+from ..sessions import require_teacher
+from .calendar import student_feed_url
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/students",
+    tags=["students"]
+)
+
+WEEK_DAYS = ["Monday", "Tuesday", "Wednesday",
+             "Thursday", "Friday", "Saturday", "Sunday"]
+
+
+def meeting_hours(schedule_details: Dict[str, Any]) -> float:
+    """Length of one meeting in hours"""
+    start = datetime.strptime(schedule_details["start_time"], "%H:%M")
+    end = datetime.strptime(schedule_details["end_time"], "%H:%M")
+    return (end - start).total_seconds() / 3600
+
+
+@router.get("", response_model=List[str])
+@router.get("/", response_model=List[str])
+def search_students(
+    query: Optional[str] = None,
+    teacher: Dict[str, Any] = Depends(require_teacher)
+) -> List[str]:
+    """List enrolled or waitlisted student emails, optionally matching `query`"""
+    pipeline = [
+        {"$project": {"emails": {"$concatArrays": [
+            "$participants", {"$ifNull": ["$waitlist", []]}]}}},
+        {"$unwind": "$emails"},
+        {"$group": {"_id": "$emails"}},
+    ]
+    if query:
+        pipeline.append(
+            {"$match": {"_id": {"$regex": re.escape(query), "$options": "i"}}})
+    pipeline.extend([{"$sort": {"_id": 1}}, {"$limit": 20}])
+
+    return [doc["_id"] for doc in activities_collection.aggregate(pipeline)]
+
+
+@router.get("/{email}")
+def get_student(email: str, teacher: Dict[str, Any] = Depends(require_teacher)) -> Dict[str, Any]:
+    """
+    Get everything one student is enrolled in
+
+    Returns the enrollments, waitlist positions, total weekly hours, a
+    day-by-day summary of meetings in week order and the student's private
+    calendar feed URL.
+    """
+    enrollments = []
+    days = {day: [] for day in WEEK_DAYS}
+    total_hours = 0.0
+
+    for activity in activities_collection.find({"participants": email}).sort("_id", 1):
+        details = activity.get("schedule_details")
+        hours = meeting_hours(details) * len(details["days"]) if details else 0.0
+        total_hours += hours
+        enrollments.append({
+            "name": activity["_id"],
+            "description": activity["description"],
+            "schedule": activity.get("schedule"),
+            "schedule_details": details,
+            "category": activity.get("category"),
+            "weekly_hours": round(hours, 2)
+        })
+
+        if details:
+            for day in details["days"]:
+                days.setdefault(day, []).append({
+                    "name": activity["_id"],
+                    "start_time": details["start_time"],
+                    "end_time": details["end_time"]
+                })
+
+    waitlisted = [
+        {"name": a["_id"], "position": a["waitlist"].index(email) + 1}
+        for a in activities_collection.find({"waitlist": email}).sort("_id", 1)
+    ]
+
+    if not enrollments and not waitlisted:
+        raise APIError(
+            status_code=404, code="student_not_found",
+            detail="No enrollments found for this student")
+
+    for meetings in days.values():
+        meetings.sort(key=lambda m: m["start_time"])
+
+    return {
+        "email": email,
+        "enrollments": enrollments,
+        "waitlisted": waitlisted,
+        "total_weekly_hours": round(total_hours, 2),
+        "days": [{"day": day, "activities": days[day]} for day in WEEK_DAYS],
+        "calendar_url": student_feed_url(email)
+    }
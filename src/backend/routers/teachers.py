@@ -0,0 +1,138 @@
+"""
+Teacher account management endpoints - admin only
+"""
+
+from fastapi import APIRouter, Body, Depends
+from typing import Dict, Any, List, Optional
+
+from ..database import teachers_collection, activities_collection, sessions_collection, hash_password
+from ..permissions import require_admin, ROLES
+from ..errors import APIError
+
+router = APIRouter(
+    prefix="/teachers",
+    tags=["teachers"]
+)
+
+MIN_PASSWORD_LENGTH = 8
+
+
+def serialize_teacher(teacher: Dict[str, Any]) -> Dict[str, Any]:
+    # Never return the password hash
+    return {
+        "username": teacher["username"],
+        "display_name": teacher["display_name"],
+        "role": teacher["role"]
+    }
+
+
+def validate_role(role: str) -> str:
+    if role not in ROLES:
+        raise APIError(
+            status_code=400, code="invalid_role", detail=f"Role must be one of: {', '.join(ROLES)}",
+            params={"allowed": ROLES})
+    return role
+
+
+def validate_password(password: str) -> str:
+    if len(password) < MIN_PASSWORD_LENGTH:
+        raise APIError(
+            status_code=400, code="password_too_short",
+            detail=f"Password must be at least {MIN_PASSWORD_LENGTH} characters",
+            params={"min_length": MIN_PASSWORD_LENGTH})
+    return password
+
+
+@router.get("", response_model=List[Dict[str, Any]])
+@router.get("/", response_model=List[Dict[str, Any]])
+def list_teachers(admin: Dict[str, Any] = Depends(require_admin)) -> List[Dict[str, Any]]:
+    """List teacher accounts"""
+    return [serialize_teacher(t) for t in teachers_collection.find().sort("display_name", 1)]
+
+
+@router.post("", status_code=201)
+@router.post("/", status_code=201)
+def create_teacher(
+    username: str = Body(...),
+    display_name: str = Body(...),
+    password: str = Body(...),
+    role: str = Body("teacher"),
+    admin: Dict[str, Any] = Depends(require_admin)
+) -> Dict[str, Any]:
+    """Create a teacher account"""
+    username = username.strip().lower()
+    display_name = display_name.strip()
+    if not username or not display_name:
+        raise APIError(
+            status_code=400, code="teacher_fields_required",
+            detail="Username and display name are required")
+
+    if teachers_collection.find_one({"_id": username}):
+        raise APIError(
+            status_code=409, code="teacher_exists",
+            detail="A teacher with this username already exists")
+
+    doc = {
+        "_id": username,
+        "username": username,
+        "display_name": display_name,
+        "password": hash_password(validate_password(password)),
+        "role": validate_role(role)
+    }
+    teachers_collection.insert_one(doc)
+    return serialize_teacher(doc)
+
+
+@router.put("/{username}")
+def update_teacher(
+    username: str,
+    display_name: Optional[str] = Body(None),
+    password: Optional[str] = Body(None),
+    role: Optional[str] = Body(None),
+    admin: Dict[str, Any] = Depends(require_admin)
+) -> Dict[str, Any]:
+    """Change a teacher's display name, password or role"""
+    teacher = teachers_collection.find_one({"_id": username})
+    if not teacher:
+        raise APIError(status_code=404, code="teacher_not_found", detail="Teacher not found")
+
+    updates = {}
+    if display_name is not None:
+        if not display_name.strip():
+            raise APIError(
+                status_code=400, code="display_name_required",
+                detail="Display name cannot be empty")
+        updates["display_name"] = display_name.strip()
+    if password:
+        updates["password"] = hash_password(validate_password(password))
+    if role is not None and role != teacher["role"]:
+        if username == admin["username"]:
+            raise APIError(
+                status_code=403, code="cannot_change_own_role",
+                detail="Admins cannot change their own role")
+        updates["role"] = validate_role(role)
+
+    if not updates:
+        raise APIError(status_code=400, code="no_updates", detail="No updates provided")
+
+    teachers_collection.update_one({"_id": username}, {"$set": updates})
+    return serialize_teacher(teachers_collection.find_one({"_id": username}))
+
+
+@router.delete("/{username}")
+def delete_teacher(username: str, admin: Dict[str, Any] = Depends(require_admin)) -> Dict[str, Any]:
+    """Delete a teacher account, sign it out and remove it from activity sponsors"""
+    if username == admin["username"]:
+        raise APIError(
+            status_code=403, code="cannot_delete_self",
+            detail="Admins cannot delete their own account")
+
+    result = teachers_collection.delete_one({"_id": username})
+    if result.deleted_count == 0:
+        raise APIError(status_code=404, code="teacher_not_found", detail="Teacher not found")
+
+    sessions_collection.delete_many({"username": username})
+    activities_collection.update_many(
+        {"sponsors": username}, {"$pull": {"sponsors": username}})
+
+    return {"message": f"Deleted teacher {username}"}
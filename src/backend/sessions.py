@@ -0,0 +1,94 @@
+"""
+Session tokens for signed-in teachers
+
+A token is "<session id>.<HMAC-SHA256 signature>". The session id is stored in
+the sessions collection with an expiry, so tokens can be revoked on logout and
+expire on their own. The signing secret comes from the SESSION_SECRET
+environment variable.
+"""
+
+import hashlib
+import hmac
+import os
+import secrets
+from datetime import datetime, timedelta, timezone
+from typing import Dict, Any, Optional
+
+from fastapi import Depends
+from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
+
+from .database import sessions_collection, teachers_collection, is_expired
+from .errors import APIError
+
+SESSION_SECRET = os.environ.get("SESSION_SECRET") or secrets.token_hex(32)
+SESSION_TTL = timedelta(hours=int(os.environ.get("SESSION_TTL_HOURS", "8")))
+
+bearer_scheme = HTTPBearer(auto_error=False)
+
+
+def _sign(session_id: str) -> str:
+    return hmac.new(SESSION_SECRET.encode(), session_id.encode(), hashlib.sha256).hexdigest()
+
+
+def create_session(username: str) -> Dict[str, Any]:
+    """Create a session for a teacher and return its token and expiry"""
+    session_id = secrets.token_urlsafe(32)
+    expires_at = datetime.now(timezone.utc) + SESSION_TTL
+    sessions_collection.insert_one({
+        "_id": session_id,
+        "username": username,
+        "created_at": datetime.now(timezone.utc),
+        "expires_at": expires_at
+    })
+    return {
+        "token": f"{session_id}.{_sign(session_id)}",
+        "expires_at": expires_at.isoformat().replace("+00:00", "Z")
+    }
+
+
+def _session_id_from_token(token: str) -> Optional[str]:
+    session_id, _, signature = token.partition(".")
+    if not session_id or not signature:
+        return None
+    if not hmac.compare_digest(signature, _sign(session_id)):
+        return None
+    return session_id
+
+
+def revoke_session(token: str) -> None:
+    """Delete the session behind a token; unknown tokens are ignored"""
+    session_id = _session_id_from_token(token)
+    if session_id:
+        sessions_collection.delete_one({"_id": session_id})
+
+
+def get_current_teacher(
+    credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme)
+) -> Optional[Dict[str, Any]]:
+    """Resolve the Authorization bearer token to a teacher, or None when absent or invalid"""
+    if not credentials:
+        return None
+
+    session_id = _session_id_from_token(credentials.credentials)
+    if not session_id:
+        return None
+
+    session = sessions_collection.find_one({"_id": session_id})
+    if not session:
+        return None
+
+    if is_expired(session):
+        sessions_collection.delete_one({"_id": session_id})
+        return None
+
+    return teachers_collection.find_one({"_id": session["username"]})
+
+
+def require_teacher(
+    teacher: Optional[Dict[str, Any]] = Depends(get_current_teacher)
+) -> Dict[str, Any]:
+    """Dependency for routes that need a signed-in teacher"""
+    if not teacher:
+        raise APIError(
+            status_code=401, code="auth_required", detail="Authentication required for this action")
+    return teacher
@@ -1,20 +1,59 @@
 document.addEventListener("DOMContentLoaded", () => {
+  // Translation and locale-aware formatting helpers (see i18n.js)
+  const { t, apiErrorMessage, formatTime, formatDayName, formatDate, formatDateTime, formatList } =
+    window.i18n;
+
   // DOM elements
   const activitiesList = document.getElementById("activities-list");
   const messageDiv = document.getElementById("message");
   const announcementsContainer = document.getElementById("announcements-container");
+  const offlineBanner = document.getElementById("offline-banner");
+  const syncModal = document.getElementById("sync-modal");
+  const closeSyncModal = document.querySelector(".close-sync-modal");
+  const syncResultsList = document.getElementById("sync-results");
   const registrationModal = document.getElementById("registration-modal");
   const modalActivityName = document.getElementById("modal-activity-name");
   const signupForm = document.getElementById("signup-form");
   const activityInput = document.getElementById("activity");
   const closeRegistrationModal = document.querySelector(".close-modal");
+  const modalActionLabel = document.getElementById("modal-action-label");
+  const signupSubmit = document.getElementById("signup-submit");
+  const signupConflicts = document.getElementById("signup-conflicts");
+  const signupConflictsText = document.getElementById("signup-conflicts-text");
+  const signupConflictsList = document.getElementById("signup-conflicts-list");
+  const signupOverride = document.getElementById("signup-override");
+  const singleEmailGroup = document.getElementById("single-email-group");
+  const bulkEmailGroup = document.getElementById("bulk-email-group");
+  const bulkEmailsInput = document.getElementById("bulk-emails");
+  const bulkToggle = document.getElementById("bulk-toggle");
+  const rosterSearch = document.getElementById("roster-search");
+  const rosterResults = document.getElementById("roster-results");
+  const rosterAddAll = document.getElementById("roster-add-all");
+  const bulkResults = document.getElementById("bulk-results");
+  const bulkSummary = document.getElementById("bulk-summary");
+  const bulkResultsList = document.getElementById("bulk-results-list");
+  const bulkOverride = document.getElementById("bulk-override");
 
   // Search and filter elements
   const searchInput = document.getElementById("activity-search");
   const searchButton = document.getElementById("search-button");
-  const categoryFilters = document.querySelectorAll(".category-filter");
+  const categoryFiltersContainer = document.getElementById("category-filters");
   const dayFilters = document.querySelectorAll(".day-filter");
+  const dayPresetButtons = document.querySelectorAll(".day-preset");
   const timeFilters = document.querySelectorAll(".time-filter");
+  const customTimeRange = document.getElementById("custom-time-range");
+  const timeFrom = document.getElementById("time-from");
+  const timeTo = document.getElementById("time-to");
+  const customTimeMessage = document.getElementById("custom-time-message");
+  const viewOptions = document.querySelectorAll(".view-option");
+  const sortSelect = document.getElementById("sort-select");
+  const loadMoreContainer = document.getElementById("load-more-container");
+  const loadMoreStatus = document.getElementById("load-more-status");
+  const loadMoreButton = document.getElementById("load-more-button");
+  const activitiesCalendar = document.getElementById("activities-calendar");
+
+  // Language switcher
+  const languageSelect = document.getElementById("language-select");
 
   // Authentication elements
   const loginButton = document.getElementById("login-button");
@@ -32,125 +71,521 @@ document.addEventListener("DOMContentLoaded", () => {
   const announcementForm = document.getElementById("announcement-form");
   const annTitle = document.getElementById("ann-title");
   const annMessage = document.getElementById("ann-message");
+  const annPreview = document.getElementById("ann-preview");
   const annStart = document.getElementById("ann-start");
   const annExpire = document.getElementById("ann-expire");
+  const annSeverity = document.getElementById("ann-severity");
+  const annAudience = document.getElementById("ann-audience");
+  const annAudienceActivitiesGroup = document.getElementById("ann-audience-activities-group");
+  const annAudienceActivities = document.getElementById("ann-audience-activities");
+  const annAudienceCategoryGroup = document.getElementById("ann-audience-category-group");
+  const annAudienceCategory = document.getElementById("ann-audience-category");
   const annId = document.getElementById("ann-id");
   const annFormMessage = document.getElementById("ann-form-message");
   const annCancel = document.getElementById("ann-cancel");
-
-  // Activity categories with corresponding colors
-  const activityTypes = {
-    sports: { label: "Sports", color: "#e8f5e9", textColor: "#2e7d32" },
-    arts: { label: "Arts", color: "#f3e5f5", textColor: "#7b1fa2" },
-    academic: { label: "Academic", color: "#e3f2fd", textColor: "#1565c0" },
-    community: { label: "Community", color: "#fff3e0", textColor: "#e65100" },
-    technology: { label: "Technology", color: "#e8eaf6", textColor: "#3949ab" },
-  };
+  const manageActivitiesButton = document.getElementById("manage-activities-button");
+  const activitiesModal = document.getElementById("activities-modal");
+  const closeActivitiesModal = document.querySelector(".close-activities-modal");
+  const activitiesManagerList = document.getElementById("activities-manager-list");
+  const activityForm = document.getElementById("activity-form");
+  const actFormHeading = document.getElementById("act-form-heading");
+  const actName = document.getElementById("act-name");
+  const actDescription = document.getElementById("act-description");
+  const actCategory = document.getElementById("act-category");
+  const actDayCheckboxes = document.querySelectorAll('input[name="act-day"]');
+  const actStart = document.getElementById("act-start");
+  const actEnd = document.getElementById("act-end");
+  const actMax = document.getElementById("act-max");
+  const actOriginalName = document.getElementById("act-original-name");
+  const actFormMessage = document.getElementById("act-form-message");
+  const actCancel = document.getElementById("act-cancel");
+  const actSponsorsGroup = document.getElementById("act-sponsors-group");
+  const actSponsors = document.getElementById("act-sponsors");
+  const manageTeachersButton = document.getElementById("manage-teachers-button");
+  const teachersModal = document.getElementById("teachers-modal");
+  const closeTeachersModal = document.querySelector(".close-teachers-modal");
+  const teachersList = document.getElementById("teachers-list");
+  const teacherForm = document.getElementById("teacher-form");
+  const teacherFormHeading = document.getElementById("teacher-form-heading");
+  const teacherUsername = document.getElementById("teacher-username");
+  const teacherDisplayName = document.getElementById("teacher-display-name");
+  const teacherPassword = document.getElementById("teacher-password");
+  const teacherRole = document.getElementById("teacher-role");
+  const teacherEditing = document.getElementById("teacher-editing");
+  const teacherFormMessage = document.getElementById("teacher-form-message");
+  const teacherCancel = document.getElementById("teacher-cancel");
+  const auditLogButton = document.getElementById("audit-log-button");
+  const auditModal = document.getElementById("audit-modal");
+  const closeAuditModal = document.querySelector(".close-audit-modal");
+  const auditFilters = document.getElementById("audit-filters");
+  const auditActivity = document.getElementById("audit-activity");
+  const auditActivityOptions = document.getElementById("audit-activity-options");
+  const auditStudent = document.getElementById("audit-student");
+  const auditTeacher = document.getElementById("audit-teacher");
+  const auditFrom = document.getElementById("audit-from");
+  const auditTo = document.getElementById("audit-to");
+  const auditClear = document.getElementById("audit-clear");
+  const auditCount = document.getElementById("audit-count");
+  const auditEntriesList = document.getElementById("audit-entries");
+  const auditLoadMore = document.getElementById("audit-load-more");
+  const studentSearchForm = document.getElementById("student-search-form");
+  const studentSearch = document.getElementById("student-search");
+  const studentSuggestions = document.getElementById("student-suggestions");
+  const studentModal = document.getElementById("student-modal");
+  const closeStudentModal = document.querySelector(".close-student-modal");
+  const studentModalTitle = document.getElementById("student-modal-title");
+  const studentProfile = document.getElementById("student-profile");
+  const attendanceModal = document.getElementById("attendance-modal");
+  const closeAttendanceModal = document.querySelector(".close-attendance-modal");
+  const attendanceActivityName = document.getElementById("attendance-activity-name");
+  const attendanceDate = document.getElementById("attendance-date");
+  const attendanceForm = document.getElementById("attendance-form");
+  const attendanceRows = document.getElementById("attendance-rows");
+  const attendanceSave = document.getElementById("attendance-save");
+  const attendanceMessage = document.getElementById("attendance-message");
+
+  // Activity categories with corresponding colors, keyed by category key (loaded from /categories)
+  let activityTypes = {};
+
+  // Used for activities whose category is missing or no longer exists
+  const uncategorizedType = { color: "#f0f0f0", textColor: "#666666" };
 
   // State for activities and filters
   let allActivities = {};
   let currentFilter = "all";
   let searchQuery = "";
-  let currentDay = "";
-  let currentTimeRange = "";
+  let currentDays = []; // empty means every day
+  let currentTimeRange = ""; // "", a timeRanges key or "custom"
+  let customTime = { start: "", end: "" };
+  let currentView = "cards";
+  let currentSort = "name";
+
+  // The card list loads a page at a time; search and the calendar load every match
+  const activitiesPageSize = 12;
+  const maxPageSize = 100; // server limit for page_size
+  let loadedPages = 1;
+  let totalActivities = 0;
+
+  // Words highlighted in each rendered card, reused when a card is patched live
+  let cardHighlights = {};
+
+  // Ranked results from /activities/search for `query`; null until they arrive
+  let serverSearch = null;
+  let searchTimer = null;
 
   // Authentication state
   let currentUser = null;
-
-  // Time range mappings for the dropdown
+  let sessionToken = null;
+
+  // Offline support: signups and unregisters made without a connection are
+  // queued in localStorage and replayed in order once it returns
+  const offlineQueueKey = "offlineQueue";
+  let replayingQueue = false;
+  let showingSavedActivities = false;
+
+  // Announcement banner state: active (not dismissed) announcements and the one shown
+  const dismissedAnnouncementsKey = "dismissedAnnouncements";
+  const announcementRotateMs = 8000;
+  let bannerAnnouncements = [];
+  let bannerIndex = 0;
+  let bannerTimer = null;
+
+  // Active announcements aimed at activities or categories, shown inside matching cards
+  let targetedAnnouncements = [];
+
+  // Whether the registration modal signs a student up or adds them to the waitlist
+  let registrationMode = "signup";
+
+  // Whether the signup form takes a list of emails instead of one
+  let bulkRegistration = false;
+
+  // Days shown as calendar columns, in week order
+  const calendarDays = [
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+    "Sunday",
+  ];
+  const calendarHourHeight = 48; // px per hour in the calendar grid
+
+  // Time windows for the preset time buttons. The server returns activities
+  // that overlap the window.
   const timeRanges = {
     morning: { start: "06:00", end: "08:00" }, // Before school hours
     afternoon: { start: "15:00", end: "18:00" }, // After school hours
-    weekend: { days: ["Saturday", "Sunday"] }, // Weekend days
   };
 
-  // Initialize filters from active elements
-  function initializeFilters() {
-    // Initialize day filter
-    const activeDayFilter = document.querySelector(".day-filter.active");
-    if (activeDayFilter) {
-      currentDay = activeDayFilter.dataset.day;
+  // Sort keys accepted by GET /activities, with the order each one uses
+  const sortOrders = {
+    name: "asc",
+    start_time: "asc",
+    spots_left: "desc",
+    fill: "desc",
+  };
+
+  // Day shortcuts that select several day filters at once
+  const dayPresets = {
+    weekdays: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
+    weekend: ["Saturday", "Sunday"],
+  };
+
+  // Filter and view state is mirrored in the URL query string
+  // (?category=&days=&time=&from=&to=&q=&view=&sort=) so reloads, back/forward and
+  // shared links restore the same view. Default values are left out of the URL.
+  const defaultFilterState = {
+    category: "all",
+    days: [],
+    time: "",
+    from: "",
+    to: "",
+    q: "",
+    view: "cards",
+    sort: "name",
+  };
+
+  function getFilterState() {
+    return {
+      category: currentFilter,
+      days: currentDays,
+      time: currentTimeRange,
+      from: currentTimeRange === "custom" ? customTime.start : "",
+      to: currentTimeRange === "custom" ? customTime.end : "",
+      q: searchQuery,
+      view: currentView,
+      sort: currentSort,
+    };
+  }
+
+  // Keep known days only, in week order
+  function normalizeDays(days) {
+    return calendarDays.filter((day) => days.includes(day));
+  }
+
+  function readFilterStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const isTime = (value) => /^\d{2}:\d{2}$/.test(value || "");
+    let days = normalizeDays((params.get("days") || params.get("day") || "").split(","));
+    let time = params.get("time") || "";
+
+    // Links from before weekend became a day filter used ?time=weekend
+    if (time === "weekend") {
+      days = dayPresets.weekend;
+      time = "";
     }
 
-    // Initialize time filter
-    const activeTimeFilter = document.querySelector(".time-filter.active");
-    if (activeTimeFilter) {
-      currentTimeRange = activeTimeFilter.dataset.time;
+    const from = isTime(params.get("from")) ? params.get("from") : "";
+    let to = isTime(params.get("to")) ? params.get("to") : "";
+    if (from && to && to <= from) {
+      to = "";
     }
+
+    return {
+      category: params.get("category") || defaultFilterState.category,
+      days,
+      time: time in timeRanges || time === "custom" ? time : "",
+      from,
+      to,
+      q: params.get("q") || "",
+      view: params.get("view") === "calendar" ? "calendar" : defaultFilterState.view,
+      sort: params.get("sort") in sortOrders ? params.get("sort") : defaultFilterState.sort,
+    };
   }
 
-  // Function to set day filter
-  function setDayFilter(day) {
-    currentDay = day;
+  // The time window sent to the server, or null for any time
+  function getActiveTimeWindow() {
+    if (currentTimeRange === "custom") {
+      return customTime.start || customTime.end ? customTime : null;
+    }
+    return timeRanges[currentTimeRange] || null;
+  }
 
-    // Update active class
+  // Set the state variables and the active state of every filter control
+  function applyFilterState(state) {
+    currentFilter = state.category;
+    currentDays = normalizeDays(state.days);
+    currentTimeRange = state.time;
+    customTime = { start: state.from, end: state.to };
+    searchQuery = state.q;
+    currentView = state.view;
+    currentSort = state.sort;
+    // Any filter change starts again from the first page
+    loadedPages = 1;
+
+    categoryFiltersContainer.querySelectorAll(".category-filter").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.category === currentFilter);
+    });
     dayFilters.forEach((btn) => {
-      if (btn.dataset.day === day) {
-        btn.classList.add("active");
-      } else {
-        btn.classList.remove("active");
+      const isActive = btn.dataset.day
+        ? currentDays.includes(btn.dataset.day)
+        : currentDays.length === 0;
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", String(isActive));
+    });
+    dayPresetButtons.forEach((btn) => {
+      const preset = dayPresets[btn.dataset.preset];
+      const isActive = currentDays.join(",") === preset.join(",");
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", String(isActive));
+    });
+    timeFilters.forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.time === currentTimeRange);
+    });
+    customTimeRange.classList.toggle("hidden", currentTimeRange !== "custom");
+    timeFrom.value = customTime.start;
+    timeTo.value = customTime.end;
+    viewOptions.forEach((btn) => {
+      const isActive = btn.dataset.view === currentView;
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", String(isActive));
+    });
+    if (searchInput.value !== searchQuery) {
+      searchInput.value = searchQuery;
+    }
+    sortSelect.value = currentSort;
+  }
+
+  // Write the current state to the URL. `replace` avoids a history entry per keystroke.
+  function updateUrl({ replace = false } = {}) {
+    const params = new URLSearchParams();
+    Object.entries(getFilterState()).forEach(([key, value]) => {
+      const text = Array.isArray(value) ? value.join(",") : value;
+      if (text && text !== defaultFilterState[key]) {
+        params.set(key, text);
       }
     });
 
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    if (url === window.location.pathname + window.location.search + window.location.hash) {
+      return;
+    }
+
+    if (replace) {
+      history.replaceState(null, "", url);
+    } else {
+      history.pushState(null, "", url);
+    }
+  }
+
+  function initializeFilters() {
+    applyFilterState(readFilterStateFromUrl());
+    requestSearch();
+  }
+
+  // Back/forward restores the filters saved in that history entry's URL
+  window.addEventListener("popstate", () => {
+    applyFilterState(readFilterStateFromUrl());
+    requestSearch();
+    fetchActivities();
+  });
+
+  // Function to set day filter: one day, a list of days, or "" / [] for every day
+  function setDayFilter(days) {
+    const list = Array.isArray(days) ? days : days ? [days] : [];
+    applyFilterState({ ...getFilterState(), days: list });
+    updateUrl();
     fetchActivities();
   }
 
-  // Function to set time range filter
+  // Add a day to the day filter, or remove it when already selected
+  function toggleDayFilter(day) {
+    const days = currentDays.includes(day)
+      ? currentDays.filter((d) => d !== day)
+      : [...currentDays, day];
+    setDayFilter(days);
+  }
+
+  // Function to set time range filter ("", a preset key or "custom")
   function setTimeRangeFilter(timeRange) {
-    currentTimeRange = timeRange;
+    applyFilterState({ ...getFilterState(), time: timeRange });
+    updateUrl();
+    fetchActivities();
+  }
 
-    // Update active class
-    timeFilters.forEach((btn) => {
-      if (btn.dataset.time === timeRange) {
-        btn.classList.add("active");
-      } else {
-        btn.classList.remove("active");
-      }
-    });
+  // Filter to activities overlapping start-end (24-hour HH:MM; either may be "")
+  function setCustomTimeRange(start, end) {
+    if (start && end && end <= start) {
+      customTimeMessage.textContent = t("filters.endAfterStart");
+      customTimeMessage.classList.remove("hidden");
+      return;
+    }
+    customTimeMessage.classList.add("hidden");
 
+    applyFilterState({ ...getFilterState(), time: "custom", from: start, to: end });
+    updateUrl();
     fetchActivities();
   }
 
-  // Check if user is already logged in (from localStorage)
-  function checkAuthentication() {
-    const savedUser = localStorage.getItem("currentUser");
-    if (savedUser) {
+  // Function to set the search text (filtered on the client)
+  function setSearchQuery(query, { replace = false } = {}) {
+    const wasPaginated = shouldPaginate();
+    applyFilterState({ ...getFilterState(), q: query });
+    updateUrl({ replace });
+    requestSearch();
+    refreshForPaging(wasPaginated);
+  }
+
+  // Function to set the sort order of the activities list (a sortOrders key)
+  function setSortOrder(sort) {
+    applyFilterState({ ...getFilterState(), sort });
+    updateUrl();
+    fetchActivities();
+  }
+
+  // Search results and the calendar need every match, the card list only a page
+  function shouldPaginate() {
+    return currentView === "cards" && !searchQuery.trim();
+  }
+
+  // Refetch when a change switches between paged and complete loading
+  function refreshForPaging(wasPaginated) {
+    const paginated = shouldPaginate();
+    const allLoaded = Object.keys(allActivities).length >= totalActivities;
+    if (paginated !== wasPaginated && (paginated || !allLoaded)) {
+      fetchActivities();
+    } else {
+      displayFilteredActivities();
+    }
+  }
+
+  // Ask the server to rank the current search text (debounced). Until the
+  // results arrive, or when the server finds nothing (e.g. a typo), cards
+  // are ranked by the client-side fuzzy matcher instead.
+  function requestSearch() {
+    clearTimeout(searchTimer);
+    const query = searchQuery.trim();
+    if (!query) {
+      serverSearch = null;
+      return;
+    }
+
+    searchTimer = setTimeout(async () => {
       try {
-        currentUser = JSON.parse(savedUser);
-        updateAuthUI();
-        // Verify the stored user with the server
-        validateUserSession(currentUser.username);
+        const response = await fetch(`/activities/search?q=${encodeURIComponent(query)}`);
+        if (!response.ok) return;
+        const results = await response.json();
+        // Ignore responses for text the user has since changed
+        if (query !== searchQuery.trim()) return;
+        serverSearch = {
+          query,
+          ranking: results.map((result) => ({ name: result.name, score: result.score })),
+        };
+        displayFilteredActivities();
       } catch (error) {
-        console.error("Error parsing saved user", error);
-        logout(); // Clear invalid data
+        console.error("Error searching activities:", error);
       }
+    }, 250);
+  }
+
+  // Check if user is already logged in (session token in localStorage)
+  function checkAuthentication() {
+    // Older versions stored the raw user object; it is no longer trusted
+    localStorage.removeItem("currentUser");
+
+    sessionToken = localStorage.getItem("sessionToken");
+    if (sessionToken) {
+      // The user is only known once the server accepts the token
+      validateUserSession();
     }
 
     // Set authentication class on body
     updateAuthBodyClass();
   }
 
-  // Validate user session with the server
-  async function validateUserSession(username) {
+  // Validate the stored session token with the server
+  async function validateUserSession() {
     try {
-      const response = await fetch(
-        `/auth/check-session?username=${encodeURIComponent(username)}`
-      );
+      const response = await fetch("/auth/check-session", {
+        headers: authHeaders(),
+      });
 
       if (!response.ok) {
-        // Session invalid, log out
-        logout();
+        // Token expired or revoked
+        clearSession();
+        updateAuthUI();
         return;
       }
 
       // Session is valid, update user data
-      const userData = await response.json();
-      currentUser = userData;
-      localStorage.setItem("currentUser", JSON.stringify(userData));
+      currentUser = await response.json();
+      rememberOfflineUser(currentUser);
       updateAuthUI();
     } catch (error) {
       console.error("Error validating session:", error);
+      const savedUser = localStorage.getItem("sessionUser");
+      if (savedUser && !navigator.onLine) {
+        const { username, display_name } = JSON.parse(savedUser);
+        // Not confirmed by the server, so it carries no role and unlocks no
+        // admin or sponsor controls until the session is checked again online
+        currentUser = { username, display_name, offline: true };
+        updateAuthUI();
+      }
+    }
+  }
+
+  // Remembered so a teacher can keep queuing registrations if the page is
+  // reloaded offline. Only the name is stored: the role is never read back from
+  // this client-editable value, and the server still checks the token when
+  // queued changes are sent.
+  function rememberOfflineUser(user) {
+    localStorage.setItem(
+      "sessionUser",
+      JSON.stringify({ username: user.username, display_name: user.display_name })
+    );
+  }
+
+  // Headers that carry the session token for authenticated requests
+  function authHeaders(extra = {}) {
+    return sessionToken
+      ? { ...extra, Authorization: `Bearer ${sessionToken}` }
+      : extra;
+  }
+
+  // fetch() with the session token; a 401 means the session is gone, so sign out locally
+  async function authFetch(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: authHeaders(options.headers),
+    });
+
+    if (response.status === 401 && currentUser) {
+      clearSession();
+      updateAuthUI();
+      showMessage(t("auth.sessionExpired"), "error");
     }
+
+    return response;
+  }
+
+  // Role checks mirror the backend permissions; the API still enforces them
+  function isAdmin() {
+    return Boolean(currentUser && currentUser.role === "admin");
+  }
+
+  // A user restored offline from localStorage has not been confirmed by the server
+  function isVerifiedUser() {
+    return Boolean(currentUser && !currentUser.offline);
+  }
+
+  function canManageActivity(details) {
+    return (
+      isAdmin() ||
+      (isVerifiedUser() && (details.sponsors || []).includes(currentUser.username))
+    );
+  }
+
+  function canManageAnnouncement(ann) {
+    return isAdmin() || (isVerifiedUser() && ann.created_by === currentUser.username);
+  }
+
+  function clearSession() {
+    currentUser = null;
+    sessionToken = null;
+    localStorage.removeItem("sessionToken");
+    localStorage.removeItem("sessionUser");
   }
 
   // Update UI based on authentication state
@@ -159,16 +594,27 @@ document.addEventListener("DOMContentLoaded", () => {
       loginButton.classList.add("hidden");
       userInfo.classList.remove("hidden");
       displayName.textContent = currentUser.display_name;
-      // show manage button for signed-in users
-      if (manageAnnouncementsButton) manageAnnouncementsButton.classList.remove("hidden");
+      // show manage buttons for signed-in users once the server has confirmed them
+      if (manageAnnouncementsButton) manageAnnouncementsButton.classList.toggle("hidden", !isVerifiedUser());
+      if (manageActivitiesButton) manageActivitiesButton.classList.toggle("hidden", !isVerifiedUser());
+      // Teacher accounts can only be managed by admins
+      if (manageTeachersButton) manageTeachersButton.classList.toggle("hidden", !isAdmin());
+      if (auditLogButton) auditLogButton.classList.toggle("hidden", !isAdmin());
     } else {
       loginButton.classList.remove("hidden");
       userInfo.classList.add("hidden");
       displayName.textContent = "";
       if (manageAnnouncementsButton) manageAnnouncementsButton.classList.add("hidden");
+      if (manageActivitiesButton) manageActivitiesButton.classList.add("hidden");
+      if (manageTeachersButton) manageTeachersButton.classList.add("hidden");
+      if (auditLogButton) auditLogButton.classList.add("hidden");
     }
 
     updateAuthBodyClass();
+    // Send changes queued while offline (they wait for a signed-in teacher)
+    if (currentUser) {
+      replayOfflineQueue();
+    }
     // Refresh the activities to update the UI
     fetchActivities();
     // Refresh announcements too
@@ -182,6 +628,7 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       document.body.classList.add("not-authenticated");
     }
+    document.body.classList.toggle("role-admin", isAdmin());
   }
 
   // Login function
@@ -199,33 +646,43 @@ document.addEventListener("DOMContentLoaded", () => {
       const data = await response.json();
 
       if (!response.ok) {
-        showLoginMessage(
-          data.detail || "Invalid username or password",
-          "error"
-        );
+        showLoginMessage(apiErrorMessage(data, "auth.invalidCredentials"), "error");
         return false;
       }
 
-      // Login successful
-      currentUser = data;
-      localStorage.setItem("currentUser", JSON.stringify(data));
+      // Login successful - keep only the token, user details come from the server
+      sessionToken = data.token;
+      localStorage.setItem("sessionToken", data.token);
+      currentUser = {
+        username: data.username,
+        display_name: data.display_name,
+        role: data.role,
+      };
+      rememberOfflineUser(currentUser);
       updateAuthUI();
       closeLoginModalHandler();
-      showMessage(`Welcome, ${currentUser.display_name}!`, "success");
+      showMessage(t("auth.welcome", { name: currentUser.display_name }), "success");
       return true;
     } catch (error) {
       console.error("Error during login:", error);
-      showLoginMessage("Login failed. Please try again.", "error");
+      showLoginMessage(t("auth.loginFailed"), "error");
       return false;
     }
   }
 
   // Logout function
-  function logout() {
-    currentUser = null;
-    localStorage.removeItem("currentUser");
+  async function logout() {
+    if (sessionToken) {
+      try {
+        // Revoke the token on the server
+        await fetch("/auth/logout", { method: "POST", headers: authHeaders() });
+      } catch (error) {
+        console.error("Error during logout:", error);
+      }
+    }
+    clearSession();
     updateAuthUI();
-    showMessage("You have been logged out.", "info");
+    showMessage(t("auth.loggedOut"), "info");
   }
 
   // Show message in login modal
@@ -235,21 +692,132 @@ document.addEventListener("DOMContentLoaded", () => {
     loginMessage.classList.remove("hidden");
   }
 
+  // Shared modal controller. Every dialog gets dialog semantics, takes focus
+  // when it opens, keeps Tab inside itself, closes on Escape or a click on the
+  // backdrop, and hands focus back to whatever opened it. Open dialogs are kept
+  // in a stack so Escape only closes the one on top.
+  const openModals = [];
+  const focusableSelector = [
+    "a[href]",
+    "button:not([disabled])",
+    "input:not([disabled]):not([type='hidden'])",
+    "select:not([disabled])",
+    "textarea:not([disabled])",
+    "[tabindex]:not([tabindex='-1'])",
+  ].join(",");
+
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(focusableSelector)).filter(
+      (el) => el.getClientRects().length > 0
+    );
+  }
+
+  // options.initialFocus: selector of the element to focus on open (default: the first focusable one)
+  // options.onClose: called once the dialog has finished hiding
+  function createModal(element, { initialFocus = null, onClose = null } = {}) {
+    if (!element.hasAttribute("role")) {
+      element.setAttribute("role", "dialog");
+    }
+    element.setAttribute("aria-modal", "true");
+
+    let returnFocusTo = null;
+    let hideTimer = null;
+
+    const modal = {
+      element,
+      isOpen() {
+        return openModals.includes(modal);
+      },
+      open() {
+        if (modal.isOpen()) return;
+        clearTimeout(hideTimer);
+        returnFocusTo = document.activeElement;
+        openModals.push(modal);
+        element.classList.remove("hidden");
+        // Add slight delay to trigger animation
+        setTimeout(() => element.classList.add("show"), 10);
+
+        const target =
+          (initialFocus && element.querySelector(initialFocus)) || getFocusableElements(element)[0];
+        if (target) {
+          target.focus();
+        }
+      },
+      close() {
+        if (!modal.isOpen()) return;
+        openModals.splice(openModals.indexOf(modal), 1);
+        element.classList.remove("show");
+        hideTimer = setTimeout(() => {
+          element.classList.add("hidden");
+          if (onClose) onClose();
+        }, 300);
+
+        // The opener may have been re-rendered while the dialog was open
+        if (returnFocusTo && document.body.contains(returnFocusTo)) {
+          returnFocusTo.focus();
+        } else if (openModals.length > 0) {
+          const below = getFocusableElements(openModals[openModals.length - 1].element)[0];
+          if (below) below.focus();
+        }
+        returnFocusTo = null;
+      },
+    };
+
+    element.addEventListener("click", (event) => {
+      if (event.target === element) {
+        modal.close();
+      }
+    });
+
+    return modal;
+  }
+
+  // Escape closes the top dialog; Tab and Shift+Tab wrap around inside it
+  document.addEventListener("keydown", (event) => {
+    const modal = openModals[openModals.length - 1];
+    if (!modal) return;
+
+    if (event.key === "Escape") {
+      event.preventDefault();
+      modal.close();
+      return;
+    }
+
+    if (event.key !== "Tab") return;
+    const focusable = getFocusableElements(modal.element);
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!modal.element.contains(document.activeElement)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+
+  const loginDialog = createModal(loginModal, {
+    initialFocus: "#username",
+    onClose: () => loginForm.reset(),
+  });
+
   // Open login modal
   function openLoginModal() {
-    loginModal.classList.remove("hidden");
-    loginModal.classList.add("show");
     loginMessage.classList.add("hidden");
     loginForm.reset();
+    loginDialog.open();
   }
 
   // Close login modal
   function closeLoginModalHandler() {
-    loginModal.classList.remove("show");
-    setTimeout(() => {
-      loginModal.classList.add("hidden");
-      loginForm.reset();
-    }, 300);
+    loginDialog.close();
   }
 
   // Event listeners for authentication
@@ -257,18 +825,11 @@ document.addEventListener("DOMContentLoaded", () => {
   logoutButton.addEventListener("click", logout);
   closeLoginModal.addEventListener("click", closeLoginModalHandler);
 
-  // Close login modal when clicking outside
-  window.addEventListener("click", (event) => {
-    if (event.target === loginModal) {
-      closeLoginModalHandler();
-    }
-  });
-
   // Announcements: Open manager modal
   if (manageAnnouncementsButton) {
     manageAnnouncementsButton.addEventListener("click", () => {
       if (!currentUser) {
-        showMessage("You must be signed in to manage announcements.", "error");
+        showMessage(t("announcements.signInRequired"), "error");
         return;
       }
       openAnnouncementsModal();
@@ -281,13 +842,6 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  // Close announcements modal clicking outside
-  window.addEventListener("click", (event) => {
-    if (event.target === announcementsModal) {
-      closeAnnouncementsModalHandler();
-    }
-  });
-
   annCancel.addEventListener("click", (e) => {
     e.preventDefault();
     clearAnnouncementForm();
@@ -295,6 +849,8 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   announcementForm.addEventListener("submit", handleAnnouncementSave);
+  annAudience.addEventListener("change", updateAudienceFields);
+  annMessage.addEventListener("input", updateAnnouncementPreview);
 
   // Fetch and render announcements banner(s)
   async function fetchAnnouncements() {
@@ -302,56 +858,340 @@ document.addEventListener("DOMContentLoaded", () => {
       const resp = await fetch(`/announcements/active`);
       if (!resp.ok) return;
       const anns = await resp.json();
-      renderAnnouncementsBanner(anns);
+      const isSiteWide = (a) => !a.audience || a.audience.type === "site";
+      renderAnnouncementsBanner(anns.filter(isSiteWide));
+
+      targetedAnnouncements = anns.filter((a) => !isSiteWide(a));
+      // Cards may already be rendered without their notices
+      if (Object.keys(allActivities).length > 0) {
+        displayFilteredActivities();
+      }
     } catch (err) {
       console.error("Error fetching announcements:", err);
     }
   }
 
+  function getDismissedAnnouncements() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(dismissedAnnouncementsKey));
+      return Array.isArray(ids) ? ids : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function dismissAnnouncement(id) {
+    const dismissed = getDismissedAnnouncements();
+    if (!dismissed.includes(id)) {
+      dismissed.push(id);
+      localStorage.setItem(dismissedAnnouncementsKey, JSON.stringify(dismissed));
+    }
+
+    bannerAnnouncements = bannerAnnouncements.filter((a) => a.id !== id);
+    bannerIndex = Math.min(bannerIndex, Math.max(bannerAnnouncements.length - 1, 0));
+    showBannerAnnouncement();
+  }
+
+  // Anns arrive sorted by priority (most urgent first); rotate through the ones not dismissed
   function renderAnnouncementsBanner(anns) {
     if (!announcementsContainer) return;
-    // Show the first active announcement (or none). Could be extended to carousel.
-    if (!anns || anns.length === 0) {
+
+    const dismissed = getDismissedAnnouncements();
+    const currentId = bannerAnnouncements[bannerIndex] && bannerAnnouncements[bannerIndex].id;
+    bannerAnnouncements = (anns || []).filter((a) => !dismissed.includes(a.id));
+    bannerIndex = Math.max(bannerAnnouncements.findIndex((a) => a.id === currentId), 0);
+    showBannerAnnouncement();
+  }
+
+  function showBannerAnnouncement() {
+    clearInterval(bannerTimer);
+    bannerTimer = null;
+
+    if (bannerAnnouncements.length === 0) {
       announcementsContainer.innerHTML = "";
       return;
     }
 
-    const ann = anns[0];
+    const ann = bannerAnnouncements[bannerIndex];
+    const severity = ann.severity || "info";
+    const count = bannerAnnouncements.length;
     const el = document.createElement("div");
-    el.className = "announcement-banner dynamic";
-    el.setAttribute("aria-label", ann.title + ": " + ann.message);
+    el.className = `announcement-banner dynamic severity-${severity}`;
+    el.setAttribute("role", severity === "urgent" ? "alert" : "status");
+    el.setAttribute("aria-label", ann.title + ": " + markdownToText(ann.message));
     el.innerHTML = `
-      <div style="display:flex;align-items:center;gap:12px;justify-content:center;flex-wrap:wrap;">
-        <span aria-hidden="true">📢</span>
-        <div style="max-width:900px;text-align:center;">
+      ${
+        count > 1
+          ? `<button type="button" class="banner-nav banner-prev" aria-label="${t("banner.previous")}">&lsaquo;</button>`
+          : ""
+      }
+      <div class="banner-body">
+        <span aria-hidden="true">${severity === "info" ? "📢" : "⚠️"}</span>
+        <div class="banner-text">
           <strong>${escapeHtml(ann.title)}</strong>
-          <span style="margin-left:8px;">${escapeHtml(ann.message)}</span>
+          <div class="markdown-content">${renderMarkdown(ann.message)}</div>
         </div>
+        ${count > 1 ? `<span class="banner-count">${bannerIndex + 1} / ${count}</span>` : ""}
       </div>
+      ${
+        count > 1
+          ? `<button type="button" class="banner-nav banner-next" aria-label="${t("banner.next")}">&rsaquo;</button>`
+          : ""
+      }
+      <button type="button" class="banner-dismiss" aria-label="${t("banner.dismiss")}" title="${t("banner.dismissTitle")}">&times;</button>
     `;
 
+    el.querySelector(".banner-dismiss").addEventListener("click", () => {
+      dismissAnnouncement(ann.id);
+    });
+    if (count > 1) {
+      el.querySelector(".banner-prev").addEventListener("click", () => {
+        rotateBanner(-1);
+      });
+      el.querySelector(".banner-next").addEventListener("click", () => {
+        rotateBanner(1);
+      });
+
+      // Pause rotation while the user is reading or using the controls
+      el.addEventListener("mouseenter", () => clearInterval(bannerTimer));
+      el.addEventListener("focusin", () => clearInterval(bannerTimer));
+      el.addEventListener("mouseleave", startBannerRotation);
+      el.addEventListener("focusout", startBannerRotation);
+      startBannerRotation();
+    }
+
     announcementsContainer.innerHTML = "";
     announcementsContainer.appendChild(el);
   }
 
+  function startBannerRotation() {
+    clearInterval(bannerTimer);
+    bannerTimer = setInterval(() => rotateBanner(1), announcementRotateMs);
+  }
+
+  function rotateBanner(step) {
+    const count = bannerAnnouncements.length;
+    if (count === 0) return;
+    const hadFocus = announcementsContainer.contains(document.activeElement);
+    bannerIndex = (bannerIndex + step + count) % count;
+    showBannerAnnouncement();
+
+    // Keep keyboard users on the control they used
+    if (hadFocus) {
+      const control = announcementsContainer.querySelector(step < 0 ? ".banner-prev" : ".banner-next");
+      if (control) control.focus();
+    }
+  }
+
   function escapeHtml(s) {
     if (!s) return "";
     return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\"/g, "&quot;").replace(/'/g, "&#039;");
   }
 
+  // Announcement messages support a Markdown subset: **bold**, *italics*,
+  // [links](https://...), "- " / "1. " lists and line breaks. The generated HTML
+  // is always passed through sanitizeHtml before it reaches the page.
+  const markdownTags = ["P", "BR", "STRONG", "EM", "A", "UL", "OL", "LI"];
+  // Browsers read "/\host" (and "/<tab>/host") like "//host", so a same-site path
+  // must not continue with a slash, a backslash or whitespace
+  const safeUrlPattern = /^(https?:|mailto:|\/(?![\/\\\s])|#)/i;
+
+  function renderMarkdown(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length) {
+        blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join("<br>")}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        const items = list.items.map((item) => `<li>${renderInlineMarkdown(item)}</li>`);
+        blocks.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    (text || "").split(/\r?\n/).forEach((line) => {
+      const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      const item = bullet || numbered;
+      if (item) {
+        const tag = bullet ? "ul" : "ol";
+        flushParagraph();
+        if (list && list.tag !== tag) flushList();
+        if (!list) list = { tag, items: [] };
+        list.items.push(item[1]);
+      } else if (line.trim() === "") {
+        flushParagraph();
+        flushList();
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    });
+    flushParagraph();
+    flushList();
+
+    return sanitizeHtml(blocks.join(""));
+  }
+
+  function renderInlineMarkdown(text) {
+    // Links are split out first so emphasis markers inside URLs are left alone
+    const linkPattern = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+    let html = "";
+    let last = 0;
+    for (const match of text.matchAll(linkPattern)) {
+      html += renderEmphasis(escapeHtml(text.slice(last, match.index)));
+      html += `<a href="${escapeHtml(match[2])}">${renderEmphasis(escapeHtml(match[1]))}</a>`;
+      last = match.index + match[0].length;
+    }
+    return html + renderEmphasis(escapeHtml(text.slice(last)));
+  }
+
+  function renderEmphasis(escaped) {
+    return escaped
+      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(.+?)__/g, "<strong>$1</strong>")
+      .replace(/\*(.+?)\*/g, "<em>$1</em>")
+      .replace(/\b_(.+?)_\b/g, "<em>$1</em>");
+  }
+
+  // Allow-list sanitizer: keeps markdownTags only, drops every attribute except
+  // a safe href on links, removes scripts and styles with their content and
+  // unwraps any other element to its text.
+  function sanitizeHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    const clean = (parent) => {
+      Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        clean(node);
+
+        if (["SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "TEMPLATE"].includes(node.tagName)) {
+          node.remove();
+          return;
+        }
+        if (!markdownTags.includes(node.tagName)) {
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+
+        const href = node.tagName === "A" ? (node.getAttribute("href") || "").trim() : null;
+        Array.from(node.attributes).forEach((attr) => node.removeAttribute(attr.name));
+        if (node.tagName === "A") {
+          if (safeUrlPattern.test(href)) {
+            node.setAttribute("href", href);
+            node.setAttribute("target", "_blank");
+            node.setAttribute("rel", "noopener noreferrer");
+          } else {
+            node.replaceWith(...node.childNodes);
+          }
+        }
+      });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+  }
+
+  // Plain text of a Markdown message, for labels and screen readers
+  function markdownToText(text) {
+    const el = document.createElement("div");
+    el.innerHTML = renderMarkdown(text);
+    return el.textContent;
+  }
+
   // Announcements manager
+  const announcementsDialog = createModal(announcementsModal, {
+    initialFocus: "#ann-title",
+    onClose: clearAnnouncementForm,
+  });
+
   async function openAnnouncementsModal() {
-    announcementsModal.classList.remove("hidden");
-    setTimeout(() => announcementsModal.classList.add("show"), 10);
-    await loadAnnouncementsForManager();
+    announcementsDialog.open();
+    await Promise.all([loadAnnouncementsForManager(), populateAudienceOptions()]);
+  }
+
+  async function populateAudienceOptions() {
+    annAudienceCategory.innerHTML = Object.entries(activityTypes)
+      .map(([key, type]) => `<option value="${escapeHtml(key)}">${escapeHtml(type.label)}</option>`)
+      .join("");
+
+    try {
+      // Unfiltered, so every activity can be targeted whatever filters are active
+      const resp = await fetch("/activities");
+      if (!resp.ok) return;
+      const activities = await resp.json();
+      annAudienceActivities.innerHTML = Object.keys(activities)
+        .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join("");
+    } catch (err) {
+      console.error("Error loading activities:", err);
+    }
+  }
+
+  function updateAnnouncementPreview() {
+    const html = renderMarkdown(annMessage.value);
+    annPreview.innerHTML = html || `<span class="preview-empty">${t("announcements.previewEmpty")}</span>`;
+  }
+
+  function updateAudienceFields() {
+    annAudienceActivitiesGroup.classList.toggle("hidden", annAudience.value !== "activities");
+    annAudienceCategoryGroup.classList.toggle("hidden", annAudience.value !== "category");
+  }
+
+  function setAudienceFields(audience) {
+    const target = audience || { type: "site" };
+    annAudience.value = target.type;
+    const selected = target.activities || [];
+    Array.from(annAudienceActivities.options).forEach((option) => {
+      option.selected = selected.includes(option.value);
+    });
+    if (target.category) annAudienceCategory.value = target.category;
+    updateAudienceFields();
+  }
+
+  function getAudienceFromForm() {
+    if (annAudience.value === "activities") {
+      return {
+        type: "activities",
+        activities: Array.from(annAudienceActivities.selectedOptions).map((o) => o.value),
+      };
+    }
+    if (annAudience.value === "category") {
+      return { type: "category", category: annAudienceCategory.value };
+    }
+    return { type: "site" };
+  }
+
+  function describeAudience(audience) {
+    if (!audience || audience.type === "site") return t("audience.site");
+    if (audience.type === "category") {
+      const type = activityTypes[audience.category];
+      return t("audience.category", { category: type ? type.label : audience.category });
+    }
+    return t("audience.activities", { activities: formatList(audience.activities || []) });
+  }
+
+  function announcementTargetsActivity(ann, name, details) {
+    if (ann.audience.type === "activities") {
+      return ann.audience.activities.includes(name);
+    }
+    return ann.audience.type === "category" && ann.audience.category === details.category;
   }
 
   function closeAnnouncementsModalHandler() {
-    announcementsModal.classList.remove("show");
-    setTimeout(() => {
-      announcementsModal.classList.add("hidden");
-      clearAnnouncementForm();
-    }, 300);
+    announcementsDialog.close();
   }
 
   function clearAnnouncementForm() {
@@ -360,20 +1200,23 @@ document.addEventListener("DOMContentLoaded", () => {
     annMessage.value = "";
     annStart.value = "";
     annExpire.value = "";
+    annSeverity.value = "info";
+    setAudienceFields(null);
+    updateAnnouncementPreview();
     annFormMessage.classList.add("hidden");
   }
 
   async function loadAnnouncementsForManager() {
-    announcementsList.innerHTML = "<p>Loading announcements...</p>";
+    announcementsList.innerHTML = `<p>${t("announcements.loading")}</p>`;
     try {
       const resp = await fetch(`/announcements/`);
       if (!resp.ok) {
-        announcementsList.innerHTML = `<p>Failed to load announcements</p>`;
+        announcementsList.innerHTML = `<p>${t("announcements.loadFailed")}</p>`;
         return;
       }
       const anns = await resp.json();
       if (!anns || anns.length === 0) {
-        announcementsList.innerHTML = `<p>No announcements found</p>`;
+        announcementsList.innerHTML = `<p>${t("announcements.none")}</p>`;
         return;
       }
 
@@ -388,13 +1231,21 @@ document.addEventListener("DOMContentLoaded", () => {
           <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;">
             <div style="flex:1;">
               <strong>${escapeHtml(a.title)}</strong>
-              <div style="color:var(--text-secondary);font-size:0.9rem;margin-top:4px;">${escapeHtml(a.message)}</div>
-              <div style="color:var(--text-secondary);font-size:0.8rem;margin-top:6px;">Start: ${a.start_date || '—'} • Expires: ${a.expire_date}</div>
-            </div>
-            <div style="display:flex;gap:8px;align-items:center;">
-              <button class="edit-ann-btn" data-id="${a.id}">Edit</button>
-              <button class="delete-ann-btn" data-id="${a.id}">Delete</button>
+              <span class="severity-badge severity-${escapeHtml(a.severity || "info")}">${escapeHtml(t(`severity.${a.severity || "info"}`))}</span>
+              <div style="color:var(--text-secondary);font-size:0.9rem;margin-top:4px;" class="markdown-content">${renderMarkdown(a.message)}</div>
+              <div style="color:var(--text-secondary);font-size:0.8rem;margin-top:6px;">${t("announcements.dates", {
+                start: a.start_date ? formatDate(a.start_date) : "—",
+                expire: formatDate(a.expire_date),
+              })} • ${escapeHtml(describeAudience(a.audience))}</div>
             </div>
+            ${
+              canManageAnnouncement(a)
+                ? `<div style="display:flex;gap:8px;align-items:center;">
+              <button class="edit-ann-btn" data-id="${a.id}">${t("common.edit")}</button>
+              <button class="delete-ann-btn" data-id="${a.id}">${t("common.delete")}</button>
+            </div>`
+                : `<span class="manager-note">${t("announcements.postedBy", { name: escapeHtml(a.created_by) })}</span>`
+            }
           </div>
         `;
 
@@ -410,42 +1261,45 @@ document.addEventListener("DOMContentLoaded", () => {
           annId.value = ann.id;
           annTitle.value = ann.title || "";
           annMessage.value = ann.message || "";
+          updateAnnouncementPreview();
           annStart.value = ann.start_date || "";
           annExpire.value = ann.expire_date || "";
+          annSeverity.value = ann.severity || "info";
+          setAudienceFields(ann.audience);
         });
       });
 
       document.querySelectorAll(".delete-ann-btn").forEach((btn) => {
         btn.addEventListener("click", (e) => {
           const id = e.currentTarget.dataset.id;
-          showConfirmationDialog("Delete this announcement?", async () => {
+          showConfirmationDialog(t("announcements.confirmDelete"), async () => {
             try {
-              const resp = await fetch(`/announcements/${encodeURIComponent(id)}?teacher_username=${encodeURIComponent(currentUser.username)}`, { method: "DELETE" });
+              const resp = await authFetch(`/announcements/${encodeURIComponent(id)}`, { method: "DELETE" });
               if (!resp.ok) {
                 const json = await resp.json();
-                showMessage(json.detail || "Failed to delete announcement", "error");
+                showMessage(apiErrorMessage(json, "announcements.deleteFailed"), "error");
               } else {
-                showMessage("Announcement deleted", "success");
+                showMessage(t("announcements.deleted"), "success");
                 await loadAnnouncementsForManager();
                 fetchAnnouncements();
               }
             } catch (err) {
               console.error(err);
-              showMessage("Failed to delete announcement", "error");
+              showMessage(t("announcements.deleteFailed"), "error");
             }
           });
         });
       });
     } catch (err) {
       console.error(err);
-      announcementsList.innerHTML = `<p>Error loading announcements</p>`;
+      announcementsList.innerHTML = `<p>${t("announcements.loadError")}</p>`;
     }
   }
 
   async function handleAnnouncementSave(e) {
     e.preventDefault();
     if (!currentUser) {
-      showMessage("You must be signed in to manage announcements.", "error");
+      showMessage(t("announcements.signInRequired"), "error");
       return;
     }
 
@@ -453,9 +1307,18 @@ document.addEventListener("DOMContentLoaded", () => {
     const message = annMessage.value.trim();
     const start = annStart.value || null;
     const expire = annExpire.value || null;
+    const severity = annSeverity.value;
+    const audience = getAudienceFromForm();
 
     if (!title || !message || !expire) {
-      annFormMessage.textContent = "Please provide title, message and expire date.";
+      annFormMessage.textContent = t("announcements.fieldsRequired");
+      annFormMessage.className = "message error";
+      annFormMessage.classList.remove("hidden");
+      return;
+    }
+
+    if (audience.type === "activities" && audience.activities.length === 0) {
+      annFormMessage.textContent = t("announcements.chooseActivity");
       annFormMessage.className = "message error";
       annFormMessage.classList.remove("hidden");
       return;
@@ -463,44 +1326,44 @@ document.addEventListener("DOMContentLoaded", () => {
 
     try {
       if (annId.value) {
-        // update
+        // update (dates are query parameters; an empty start_date clears it)
         const params = new URLSearchParams();
-        params.append("teacher_username", currentUser.username);
+        params.append("expire_date", expire);
+        params.append("start_date", start || "");
         const url = `/announcements/${encodeURIComponent(annId.value)}?` + params.toString();
-        const resp = await fetch(url, {
+        const resp = await authFetch(url, {
           method: "PUT",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ title, message, start_date: start || null, expire_date: expire }),
+          body: JSON.stringify({ title, message, severity, audience }),
         });
 
         const json = await resp.json();
         if (!resp.ok) {
-          annFormMessage.textContent = json.detail || "Failed to update announcement.";
+          annFormMessage.textContent = apiErrorMessage(json, "announcements.updateFailed");
           annFormMessage.className = "message error";
           annFormMessage.classList.remove("hidden");
           return;
         }
-        showMessage("Announcement updated", "success");
+        showMessage(t("announcements.updated"), "success");
       } else {
         // create
         const params = new URLSearchParams();
-        params.append("teacher_username", currentUser.username);
         params.append("expire_date", expire);
         if (start) params.append("start_date", start);
         const url = `/announcements/?` + params.toString();
-        const resp = await fetch(url, {
+        const resp = await authFetch(url, {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ title, message }),
+          body: JSON.stringify({ title, message, severity, audience }),
         });
         const json = await resp.json();
         if (!resp.ok) {
-          annFormMessage.textContent = json.detail || "Failed to create announcement.";
+          annFormMessage.textContent = apiErrorMessage(json, "announcements.createFailed");
           annFormMessage.className = "message error";
           annFormMessage.classList.remove("hidden");
           return;
         }
-        showMessage("Announcement created", "success");
+        showMessage(t("announcements.created"), "success");
       }
 
       clearAnnouncementForm();
@@ -508,21 +1371,916 @@ document.addEventListener("DOMContentLoaded", () => {
       fetchAnnouncements();
     } catch (err) {
       console.error(err);
-      annFormMessage.textContent = "Unexpected error";
+      annFormMessage.textContent = t("common.unexpectedError");
       annFormMessage.className = "message error";
       annFormMessage.classList.remove("hidden");
     }
   }
 
-  // Handle login form submission
-  loginForm.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    const username = document.getElementById("username").value;
-    const password = document.getElementById("password").value;
-    await login(username, password);
-  });
-
-  // Show loading skeletons
+  // Activities manager: open/close
+  if (manageActivitiesButton) {
+    manageActivitiesButton.addEventListener("click", () => {
+      if (!currentUser) {
+        showMessage(t("activities.signInRequired"), "error");
+        return;
+      }
+      openActivitiesModal();
+    });
+  }
+
+  if (closeActivitiesModal) {
+    closeActivitiesModal.addEventListener("click", () => {
+      closeActivitiesModalHandler();
+    });
+  }
+
+  actCancel.addEventListener("click", (e) => {
+    e.preventDefault();
+    clearActivityForm();
+    closeActivitiesModalHandler();
+  });
+
+  activityForm.addEventListener("submit", handleActivitySave);
+
+  const activitiesDialog = createModal(activitiesModal, {
+    initialFocus: "#act-name",
+    onClose: clearActivityForm,
+  });
+
+  async function openActivitiesModal() {
+    populateCategoryOptions();
+    clearActivityForm();
+    // Only admins can assign sponsors
+    actSponsorsGroup.classList.toggle("hidden", !isAdmin());
+    if (isAdmin()) {
+      populateSponsorOptions();
+    }
+    activitiesDialog.open();
+    await loadActivitiesForManager();
+  }
+
+  function closeActivitiesModalHandler() {
+    activitiesDialog.close();
+  }
+
+  function populateCategoryOptions() {
+    actCategory.innerHTML = Object.entries(activityTypes)
+      .map(([key, type]) => `<option value="${key}">${escapeHtml(type.label)}</option>`)
+      .join("");
+  }
+
+  async function populateSponsorOptions() {
+    try {
+      const resp = await authFetch("/teachers");
+      if (!resp.ok) return;
+      const teachers = await resp.json();
+      actSponsors.innerHTML = teachers
+        .map((teacher) => `<option value="${escapeHtml(teacher.username)}">${escapeHtml(teacher.display_name)}</option>`)
+        .join("");
+    } catch (err) {
+      console.error("Error loading teachers:", err);
+    }
+  }
+
+  function clearActivityForm() {
+    activityForm.reset();
+    actOriginalName.value = "";
+    actName.disabled = false;
+    actFormHeading.textContent = t("activities.createHeading");
+    actFormMessage.classList.add("hidden");
+  }
+
+  function showActivityFormMessage(text, type) {
+    actFormMessage.textContent = text;
+    actFormMessage.className = `message ${type}`;
+    actFormMessage.classList.remove("hidden");
+  }
+
+  function fillActivityForm(name, details) {
+    actOriginalName.value = name;
+    actName.value = name;
+    // Activities are keyed by name, so renaming is not supported
+    actName.disabled = true;
+    actDescription.value = details.description || "";
+    actCategory.value = details.category || "";
+    const days = details.schedule_details ? details.schedule_details.days : [];
+    actDayCheckboxes.forEach((cb) => {
+      cb.checked = days.includes(cb.value);
+    });
+    actStart.value = details.schedule_details ? details.schedule_details.start_time : "";
+    actEnd.value = details.schedule_details ? details.schedule_details.end_time : "";
+    actMax.value = details.max_participants;
+    const sponsors = details.sponsors || [];
+    Array.from(actSponsors.options).forEach((option) => {
+      option.selected = sponsors.includes(option.value);
+    });
+    actFormHeading.textContent = t("activities.editHeading", { name });
+    actFormMessage.classList.add("hidden");
+  }
+
+  async function loadActivitiesForManager() {
+    activitiesManagerList.innerHTML = `<p>${t("activities.loading")}</p>`;
+    try {
+      const resp = await fetch(`/activities`);
+      if (!resp.ok) {
+        activitiesManagerList.innerHTML = `<p>${t("activities.managerLoadFailed")}</p>`;
+        return;
+      }
+      const activities = await resp.json();
+      const entries = Object.entries(activities);
+      if (entries.length === 0) {
+        activitiesManagerList.innerHTML = `<p>${t("activities.none")}</p>`;
+        return;
+      }
+
+      activitiesManagerList.innerHTML = "";
+      entries.forEach(([name, details]) => {
+        const item = document.createElement("div");
+        item.className = "activity-manager-item";
+        item.innerHTML = `
+          <div style="flex:1;">
+            <strong>${escapeHtml(name)}</strong>
+            <div style="color:var(--text-secondary);font-size:0.8rem;margin-top:4px;">
+              ${escapeHtml(formatSchedule(details))} • ${t("activities.enrolled", {
+                count: details.participants.length,
+                max: details.max_participants,
+              })}
+            </div>
+          </div>
+          ${
+            canManageActivity(details)
+              ? `<div style="display:flex;gap:8px;align-items:center;">
+            <button class="edit-act-btn">${t("common.edit")}</button>
+            <button class="delete-act-btn">${t("common.delete")}</button>
+          </div>`
+              : `<span class="manager-note">${t("activities.sponsoredByOthers")}</span>`
+          }
+        `;
+
+        activitiesManagerList.appendChild(item);
+        if (!canManageActivity(details)) {
+          return;
+        }
+
+        item.querySelector(".edit-act-btn").addEventListener("click", () => {
+          fillActivityForm(name, details);
+        });
+
+        item.querySelector(".delete-act-btn").addEventListener("click", () => {
+          showConfirmationDialog(t("activities.confirmDelete", { name, count: details.participants.length }), async () => {
+            try {
+              const resp = await authFetch(`/activities/${encodeURIComponent(name)}`, { method: "DELETE" });
+              const json = await resp.json();
+              if (!resp.ok) {
+                showMessage(apiErrorMessage(json, "activities.deleteFailed"), "error");
+              } else {
+                showMessage(t("activities.deleted", { name }), "success");
+                await loadActivitiesForManager();
+                fetchActivities();
+              }
+            } catch (err) {
+              console.error(err);
+              showMessage(t("activities.deleteFailed"), "error");
+            }
+          });
+        });
+      });
+    } catch (err) {
+      console.error(err);
+      activitiesManagerList.innerHTML = `<p>${t("activities.managerLoadError")}</p>`;
+    }
+  }
+
+  async function handleActivitySave(e) {
+    e.preventDefault();
+    if (!currentUser) {
+      showMessage(t("activities.signInRequired"), "error");
+      return;
+    }
+
+    const name = actName.value.trim();
+    const description = actDescription.value.trim();
+    const days = Array.from(actDayCheckboxes)
+      .filter((cb) => cb.checked)
+      .map((cb) => cb.value);
+    const startTime = actStart.value;
+    const endTime = actEnd.value;
+    const maxParticipants = parseInt(actMax.value, 10);
+
+    if (!name || !description || !startTime || !endTime) {
+      showActivityFormMessage(t("activities.fieldsRequired"), "error");
+      return;
+    }
+    if (days.length === 0) {
+      showActivityFormMessage(t("activities.dayRequired"), "error");
+      return;
+    }
+    if (endTime <= startTime) {
+      showActivityFormMessage(t("activities.endAfterStart"), "error");
+      return;
+    }
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 1) {
+      showActivityFormMessage(t("activities.invalidMax"), "error");
+      return;
+    }
+
+    const payload = {
+      description,
+      category: actCategory.value,
+      schedule_details: { days, start_time: startTime, end_time: endTime },
+      max_participants: maxParticipants,
+    };
+    const isEdit = Boolean(actOriginalName.value);
+    if (isAdmin()) {
+      const sponsors = Array.from(actSponsors.selectedOptions).map((o) => o.value);
+      // A new activity without picked sponsors is sponsored by its creator
+      if (isEdit || sponsors.length > 0) {
+        payload.sponsors = sponsors;
+      }
+    }
+
+    try {
+      const url = isEdit
+        ? `/activities/${encodeURIComponent(actOriginalName.value)}`
+        : `/activities`;
+      const resp = await authFetch(url, {
+        method: isEdit ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(isEdit ? payload : { name, ...payload }),
+      });
+
+      const json = await resp.json();
+      if (!resp.ok) {
+        showActivityFormMessage(apiErrorMessage(json, "activities.saveFailed"), "error");
+        return;
+      }
+      showMessage(t(isEdit ? "activities.updated" : "activities.created", { name }), "success");
+
+      clearActivityForm();
+      await loadActivitiesForManager();
+      fetchActivities();
+    } catch (err) {
+      console.error(err);
+      showActivityFormMessage(t("common.unexpectedError"), "error");
+    }
+  }
+
+  // Teachers manager (admins only)
+  if (manageTeachersButton) {
+    manageTeachersButton.addEventListener("click", () => {
+      if (!isAdmin()) {
+        showMessage(t("teachers.adminOnly"), "error");
+        return;
+      }
+      openTeachersModal();
+    });
+  }
+
+  closeTeachersModal.addEventListener("click", () => {
+    closeTeachersModalHandler();
+  });
+
+  teacherCancel.addEventListener("click", (e) => {
+    e.preventDefault();
+    clearTeacherForm();
+    closeTeachersModalHandler();
+  });
+
+  teacherForm.addEventListener("submit", handleTeacherSave);
+
+  const teachersDialog = createModal(teachersModal, {
+    initialFocus: "#teacher-username",
+    onClose: clearTeacherForm,
+  });
+
+  async function openTeachersModal() {
+    clearTeacherForm();
+    teachersDialog.open();
+    await loadTeachersForManager();
+  }
+
+  function closeTeachersModalHandler() {
+    teachersDialog.close();
+  }
+
+  function clearTeacherForm() {
+    teacherForm.reset();
+    teacherEditing.value = "";
+    teacherUsername.disabled = false;
+    teacherPassword.required = true;
+    teacherFormHeading.textContent = t("teachers.addHeading");
+    teacherFormMessage.classList.add("hidden");
+  }
+
+  function showTeacherFormMessage(text, type) {
+    teacherFormMessage.textContent = text;
+    teacherFormMessage.className = `message ${type}`;
+    teacherFormMessage.classList.remove("hidden");
+  }
+
+  async function loadTeachersForManager() {
+    teachersList.innerHTML = `<p>${t("teachers.loading")}</p>`;
+    try {
+      const resp = await authFetch("/teachers");
+      if (!resp.ok) {
+        teachersList.innerHTML = `<p>${t("teachers.loadFailed")}</p>`;
+        return;
+      }
+      const teachers = await resp.json();
+
+      teachersList.innerHTML = "";
+      teachers.forEach((teacher) => {
+        const isSelf = teacher.username === currentUser.username;
+        const item = document.createElement("div");
+        item.className = "activity-manager-item";
+        item.innerHTML = `
+          <div style="flex:1;">
+            <strong>${escapeHtml(teacher.display_name)}</strong>
+            <div style="color:var(--text-secondary);font-size:0.8rem;margin-top:4px;">
+              ${escapeHtml(teacher.username)} • ${t(`roles.${teacher.role === "admin" ? "admin" : "teacher"}`)}
+            </div>
+          </div>
+          <div style="display:flex;gap:8px;align-items:center;">
+            <button class="edit-act-btn">${t("common.edit")}</button>
+            ${isSelf ? "" : `<button class="delete-act-btn">${t("common.delete")}</button>`}
+          </div>
+        `;
+
+        item.querySelector(".edit-act-btn").addEventListener("click", () => {
+          teacherEditing.value = teacher.username;
+          teacherUsername.value = teacher.username;
+          teacherUsername.disabled = true;
+          teacherDisplayName.value = teacher.display_name;
+          teacherPassword.value = "";
+          // Leave the password blank to keep the current one
+          teacherPassword.required = false;
+          teacherRole.value = teacher.role;
+          teacherFormHeading.textContent = t("teachers.editHeading", { name: teacher.display_name });
+          teacherFormMessage.classList.add("hidden");
+        });
+
+        if (!isSelf) {
+          item.querySelector(".delete-act-btn").addEventListener("click", () => {
+            showConfirmationDialog(t("teachers.confirmDelete", { name: teacher.display_name }), async () => {
+              try {
+                const resp = await authFetch(`/teachers/${encodeURIComponent(teacher.username)}`, { method: "DELETE" });
+                const json = await resp.json();
+                if (!resp.ok) {
+                  showMessage(apiErrorMessage(json, "teachers.deleteFailed"), "error");
+                } else {
+                  showMessage(t("teachers.deleted", { name: teacher.display_name }), "success");
+                  await loadTeachersForManager();
+                }
+              } catch (err) {
+                console.error(err);
+                showMessage(t("teachers.deleteFailed"), "error");
+              }
+            });
+          });
+        }
+
+        teachersList.appendChild(item);
+      });
+    } catch (err) {
+      console.error(err);
+      teachersList.innerHTML = `<p>${t("teachers.loadError")}</p>`;
+    }
+  }
+
+  async function handleTeacherSave(e) {
+    e.preventDefault();
+    if (!isAdmin()) {
+      showMessage(t("teachers.adminOnly"), "error");
+      return;
+    }
+
+    const isEdit = Boolean(teacherEditing.value);
+    const payload = {
+      display_name: teacherDisplayName.value.trim(),
+      role: teacherRole.value,
+    };
+    if (teacherPassword.value) {
+      payload.password = teacherPassword.value;
+    }
+
+    try {
+      const url = isEdit
+        ? `/teachers/${encodeURIComponent(teacherEditing.value)}`
+        : "/teachers";
+      const resp = await authFetch(url, {
+        method: isEdit ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          isEdit ? payload : { username: teacherUsername.value.trim(), ...payload }
+        ),
+      });
+
+      const json = await resp.json();
+      if (!resp.ok) {
+        showTeacherFormMessage(apiErrorMessage(json, "teachers.saveFailed"), "error");
+        return;
+      }
+      showMessage(t(isEdit ? "teachers.updated" : "teachers.added", { name: json.display_name }), "success");
+
+      clearTeacherForm();
+      await loadTeachersForManager();
+    } catch (err) {
+      console.error(err);
+      showTeacherFormMessage(t("common.unexpectedError"), "error");
+    }
+  }
+
+  // Audit log (admins only): who registered, unregistered or changed what, and when
+  const auditPageSize = 50;
+  const studentAuditActions = [
+    "signup",
+    "unregister",
+    "unregister_undone",
+    "waitlist_joined",
+    "waitlist_removed",
+    "waitlist_promoted",
+  ];
+  let auditPage = 1;
+  let auditTotal = 0;
+
+  if (auditLogButton) {
+    auditLogButton.addEventListener("click", () => {
+      if (!isAdmin()) {
+        showMessage(t("audit.adminOnly"), "error");
+        return;
+      }
+      openAuditModal();
+    });
+  }
+
+  closeAuditModal.addEventListener("click", () => {
+    auditDialog.close();
+  });
+
+  auditFilters.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAuditEntries();
+  });
+
+  auditClear.addEventListener("click", () => {
+    auditFilters.reset();
+    loadAuditEntries();
+  });
+
+  auditLoadMore.addEventListener("click", () => {
+    auditLoadMore.disabled = true;
+    loadAuditEntries({ append: true });
+  });
+
+  const auditDialog = createModal(auditModal, {
+    initialFocus: "#audit-activity",
+    onClose: () => {
+      auditEntriesList.innerHTML = "";
+    },
+  });
+
+  async function openAuditModal() {
+    auditActivityOptions.innerHTML = Object.keys(allActivities)
+      .sort()
+      .map((name) => `<option value="${escapeHtml(name)}"></option>`)
+      .join("");
+    auditDialog.open();
+    await Promise.all([populateAuditTeachers(), loadAuditEntries()]);
+  }
+
+  async function populateAuditTeachers() {
+    try {
+      const resp = await authFetch("/teachers");
+      if (!resp.ok) return;
+      const teachers = await resp.json();
+      const selected = auditTeacher.value;
+      auditTeacher.innerHTML =
+        `<option value="" data-i18n="audit.anyTeacher">${t("audit.anyTeacher")}</option>` +
+        teachers
+          .map(
+            (teacher) =>
+              `<option value="${escapeHtml(teacher.username)}">${escapeHtml(teacher.display_name)}</option>`
+          )
+          .join("");
+      auditTeacher.value = selected;
+    } catch (err) {
+      console.error("Error loading teachers for the audit log:", err);
+    }
+  }
+
+  function getAuditQuery(page) {
+    const params = new URLSearchParams();
+    if (auditActivity.value.trim()) params.set("activity", auditActivity.value.trim());
+    if (auditStudent.value.trim()) params.set("student", auditStudent.value.trim());
+    if (auditTeacher.value) params.set("teacher", auditTeacher.value);
+    if (auditFrom.value) params.set("start_date", auditFrom.value);
+    if (auditTo.value) params.set("end_date", auditTo.value);
+    params.set("page", page);
+    params.set("page_size", auditPageSize);
+    return params;
+  }
+
+  async function loadAuditEntries({ append = false } = {}) {
+    const page = append ? auditPage + 1 : 1;
+    if (!append) {
+      auditEntriesList.innerHTML = "";
+      auditCount.textContent = t("audit.loading");
+      auditLoadMore.classList.add("hidden");
+    }
+
+    try {
+      const resp = await authFetch(`/audit?${getAuditQuery(page).toString()}`);
+      const json = await resp.json();
+      if (!resp.ok) {
+        auditCount.textContent = apiErrorMessage(json, "audit.loadFailed");
+        return;
+      }
+
+      auditPage = page;
+      auditTotal = Number(resp.headers.get("X-Total-Count")) || 0;
+      json.forEach((entry) => auditEntriesList.appendChild(renderAuditEntry(entry)));
+
+      const loaded = auditEntriesList.children.length;
+      auditCount.textContent =
+        auditTotal === 0 ? t("audit.none") : t("audit.showingCount", { loaded, count: auditTotal });
+      auditLoadMore.classList.toggle("hidden", loaded >= auditTotal);
+    } catch (err) {
+      console.error(err);
+      auditCount.textContent = t("audit.loadError");
+    } finally {
+      auditLoadMore.disabled = false;
+    }
+  }
+
+  function renderAuditEntry(entry) {
+    const item = document.createElement("li");
+    item.className = "audit-entry";
+    const when = formatDateTime(entry.timestamp);
+    const summary = t(`audit.action.${entry.action}`, {
+      actor: entry.actor.display_name,
+      student: entry.student || "",
+      target: entry.target.label,
+    });
+
+    item.innerHTML = `
+      <div class="audit-entry-header">
+        <time datetime="${escapeHtml(entry.timestamp)}">${escapeHtml(when)}</time>
+        <span>${escapeHtml(summary)}</span>
+      </div>
+      ${describeAuditChange(entry)}
+    `;
+    return item;
+  }
+
+  // Before/after values: a student's status for registration changes, otherwise the changed fields
+  function describeAuditChange(entry) {
+    if (studentAuditActions.includes(entry.action)) {
+      return `<div class="audit-change">${escapeHtml(auditStatusLabel(entry.before))} → ${escapeHtml(
+        auditStatusLabel(entry.after)
+      )}</div>`;
+    }
+
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    if (fields.length === 0) return "";
+
+    return `
+      <dl class="audit-change">
+        ${fields
+          .map((field) => {
+            let value = formatAuditValue(after[field]);
+            if (entry.before && entry.after) {
+              value = `${formatAuditValue(before[field])} → ${value}`;
+            } else if (entry.before) {
+              value = formatAuditValue(before[field]);
+            }
+            return `<dt>${escapeHtml(field)}</dt><dd>${escapeHtml(value)}</dd>`;
+          })
+          .join("")}
+      </dl>
+    `;
+  }
+
+  function auditStatusLabel(status) {
+    if (!status) return t("audit.status.none");
+    if (status.status === "waitlisted") {
+      return t("audit.status.waitlisted", { position: status.position });
+    }
+    return t("audit.status.registered");
+  }
+
+  function formatAuditValue(value) {
+    if (value === null || value === undefined || value === "") return "—";
+    if (Array.isArray(value)) return value.length ? value.join(", ") : "—";
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Student lookup
+  let studentSuggestTimer = null;
+
+  studentSearch.addEventListener("input", () => {
+    // Debounce suggestions while typing
+    clearTimeout(studentSuggestTimer);
+    const query = studentSearch.value.trim();
+    if (!currentUser || query.length < 2) return;
+    studentSuggestTimer = setTimeout(() => loadStudentSuggestions(query), 250);
+  });
+
+  studentSearchForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const email = studentSearch.value.trim();
+    if (!email) return;
+    if (!currentUser) {
+      showMessage(t("students.signInRequired"), "error");
+      return;
+    }
+    openStudentProfile(email);
+  });
+
+  closeStudentModal.addEventListener("click", () => {
+    closeStudentModalHandler();
+  });
+
+  const studentDialog = createModal(studentModal, {
+    onClose: () => {
+      studentProfile.innerHTML = "";
+    },
+  });
+
+  async function loadStudentSuggestions(query) {
+    try {
+      const resp = await authFetch(`/students?query=${encodeURIComponent(query)}`);
+      if (!resp.ok) return;
+      const emails = await resp.json();
+      studentSuggestions.innerHTML = emails
+        .map((email) => `<option value="${escapeHtml(email)}"></option>`)
+        .join("");
+    } catch (err) {
+      console.error("Error loading student suggestions:", err);
+    }
+  }
+
+  async function openStudentProfile(email) {
+    studentModalTitle.textContent = email;
+    studentDialog.open();
+    await loadStudentProfile(email);
+  }
+
+  function closeStudentModalHandler() {
+    studentDialog.close();
+  }
+
+  async function loadStudentProfile(email) {
+    studentProfile.innerHTML = `<p>${t("students.loading")}</p>`;
+    try {
+      const resp = await authFetch(`/students/${encodeURIComponent(email)}`);
+      const json = await resp.json();
+      if (!resp.ok) {
+        studentProfile.innerHTML = `<p>${escapeHtml(apiErrorMessage(json, "students.loadFailed"))}</p>`;
+        return;
+      }
+      renderStudentProfile(json);
+    } catch (err) {
+      console.error(err);
+      studentProfile.innerHTML = `<p>${t("students.loadError")}</p>`;
+    }
+  }
+
+  function renderStudentProfile(student) {
+    const enrollmentsHtml = student.enrollments.length
+      ? student.enrollments
+          .map(
+            (e) => `
+          <li class="activity-manager-item">
+            <div style="flex:1;">
+              <strong>${escapeHtml(e.name)}</strong>
+              <div style="color:var(--text-secondary);font-size:0.8rem;margin-top:4px;">
+                ${escapeHtml(formatSchedule(e))} • ${t("students.hoursPerWeekShort", { hours: e.weekly_hours })}
+              </div>
+            </div>
+            <button class="delete-act-btn student-unregister-btn" data-activity="${escapeHtml(e.name)}">
+              ${t("students.unregister")}
+            </button>
+          </li>
+        `
+          )
+          .join("")
+      : `<li>${t("students.notEnrolled")}</li>`;
+
+    const waitlistHtml = student.waitlisted.length
+      ? `<h4>${t("students.waitlisted")}</h4>
+        <ul class="student-waitlist">
+          ${student.waitlisted
+            .map((w) => `<li>${escapeHtml(w.name)} <span class="waitlist-position">#${w.position}</span></li>`)
+            .join("")}
+        </ul>`
+      : "";
+
+    const daysHtml = student.days
+      .map(
+        (d) => `
+        <tr>
+          <th scope="row">${formatDayName(d.day)}</th>
+          <td>${
+            d.activities.length
+              ? d.activities
+                  .map(
+                    (a) =>
+                      `${escapeHtml(a.name)} (${formatTime(a.start_time)} - ${formatTime(a.end_time)})`
+                  )
+                  .join("<br />")
+              : "—"
+          }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    studentProfile.innerHTML = `
+      <p class="student-summary">
+        ${t("students.activityCount", { count: student.enrollments.length })} •
+        ${t("students.hoursPerWeek", { hours: student.total_weekly_hours })}
+      </p>
+      <a class="calendar-link" href="${escapeHtml(student.calendar_url)}" download>
+        📅 ${t("students.addAllToCalendar")}
+      </a>
+      <h4>${t("students.enrollments")}</h4>
+      <ul class="student-enrollments">${enrollmentsHtml}</ul>
+      ${waitlistHtml}
+      <h4>${t("students.weeklySchedule")}</h4>
+      <table class="student-days">
+        <tbody>${daysHtml}</tbody>
+      </table>
+    `;
+
+    studentProfile.querySelectorAll(".student-unregister-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        confirmUnregister(btn.dataset.activity, student.email, () =>
+          loadStudentProfile(student.email)
+        );
+      });
+    });
+  }
+
+  // Attendance
+  const attendanceStatuses = ["present", "absent", "excused"];
+  let attendanceData = null;
+
+  closeAttendanceModal.addEventListener("click", () => {
+    closeAttendanceModalHandler();
+  });
+
+  const attendanceDialog = createModal(attendanceModal, {
+    initialFocus: "#attendance-date",
+    onClose: () => {
+      attendanceData = null;
+      attendanceRows.innerHTML = "";
+    },
+  });
+
+  attendanceDate.addEventListener("change", renderAttendanceRows);
+  attendanceForm.addEventListener("submit", handleAttendanceSave);
+
+  async function openAttendanceModal(activityName) {
+    attendanceActivityName.textContent = activityName;
+    attendanceMessage.classList.add("hidden");
+    attendanceDialog.open();
+    await loadAttendance(activityName);
+  }
+
+  function closeAttendanceModalHandler() {
+    attendanceDialog.close();
+  }
+
+  function showAttendanceMessage(text, type) {
+    attendanceMessage.textContent = text;
+    attendanceMessage.className = `message ${type}`;
+    attendanceMessage.classList.remove("hidden");
+  }
+
+  // Load meetings and term totals; keeps the selected date when reloading after a save
+  async function loadAttendance(activityName, selectedDate) {
+    attendanceRows.innerHTML = `<tr><td colspan="5">${t("attendance.loading")}</td></tr>`;
+    try {
+      const resp = await authFetch(`/attendance/activities/${encodeURIComponent(activityName)}`);
+      const json = await resp.json();
+      if (!resp.ok) {
+        attendanceRows.innerHTML = "";
+        showAttendanceMessage(apiErrorMessage(json, "attendance.loadFailed"), "error");
+        return;
+      }
+      attendanceData = json;
+
+      // Most recent meeting first
+      const meetings = [...json.meetings].reverse();
+      attendanceDate.innerHTML = meetings
+        .map((m) => {
+          const label = formatDate(m.date, { weekday: "short", month: "short", day: "numeric" });
+          const taken = Object.keys(m.records).length > 0 ? " ✓" : "";
+          return `<option value="${m.date}">${label}${taken}</option>`;
+        })
+        .join("");
+      if (selectedDate) {
+        attendanceDate.value = selectedDate;
+      }
+
+      attendanceDate.disabled = meetings.length === 0;
+      attendanceSave.disabled = meetings.length === 0;
+      renderAttendanceRows();
+    } catch (err) {
+      console.error(err);
+      attendanceRows.innerHTML = "";
+      showAttendanceMessage(t("attendance.loadError"), "error");
+    }
+  }
+
+  function renderAttendanceRows() {
+    if (!attendanceData) return;
+    const meeting = attendanceData.meetings.find((m) => m.date === attendanceDate.value);
+    if (!meeting) {
+      attendanceRows.innerHTML = `<tr><td colspan="5">${t("attendance.noMeetings")}</td></tr>`;
+      return;
+    }
+
+    // The roster comes from the server: the card may not be loaded (paging, live removal).
+    // Students who have left can no longer be marked.
+    const participants = attendanceData.students
+      .filter((student) => student.registered)
+      .map((student) => student.email);
+    if (participants.length === 0) {
+      attendanceRows.innerHTML = `<tr><td colspan="5">${t("attendance.noStudents")}</td></tr>`;
+      return;
+    }
+
+    attendanceRows.innerHTML = participants
+      .map((email, index) => {
+        const summary = attendanceData.students.find((st) => st.email === email);
+        const rate = summary && summary.rate !== null ? `${Math.round(summary.rate * 100)}%` : "—";
+        const radios = attendanceStatuses
+          .map(
+            (status) => `
+            <td>
+              <input type="radio" name="attendance-${index}" value="${status}" data-email="${escapeHtml(email)}"
+                aria-label="${escapeHtml(email)} ${t(`attendance.${status}`)}" ${meeting.records[email] === status ? "checked" : ""} />
+            </td>`
+          )
+          .join("");
+        return `<tr><th scope="row">${escapeHtml(email)}</th>${radios}<td>${rate}</td></tr>`;
+      })
+      .join("");
+  }
+
+  async function handleAttendanceSave(e) {
+    e.preventDefault();
+    if (!attendanceData || !attendanceDate.value) return;
+
+    const records = {};
+    attendanceRows.querySelectorAll('input[type="radio"]:checked').forEach((input) => {
+      records[input.dataset.email] = input.value;
+    });
+    if (Object.keys(records).length === 0) {
+      showAttendanceMessage(t("attendance.markOne"), "error");
+      return;
+    }
+
+    const activityName = attendanceData.activity;
+    const meetingDate = attendanceDate.value;
+    try {
+      const resp = await authFetch(
+        `/attendance/activities/${encodeURIComponent(activityName)}/${meetingDate}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ records }),
+        }
+      );
+      const json = await resp.json();
+      if (!resp.ok) {
+        showAttendanceMessage(apiErrorMessage(json, "attendance.saveFailed"), "error");
+        return;
+      }
+      showAttendanceMessage(
+        t("attendance.saved", { activity: activityName, date: formatDate(meetingDate) }),
+        "success"
+      );
+      await loadAttendance(activityName, meetingDate);
+    } catch (err) {
+      console.error(err);
+      showAttendanceMessage(t("common.unexpectedError"), "error");
+    }
+  }
+
+  // Handle login form submission
+  loginForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const username = document.getElementById("username").value;
+    const password = document.getElementById("password").value;
+    await login(username, password);
+  });
+
+  // Show loading skeletons
   function showLoadingSkeletons() {
     activitiesList.innerHTML = "";
 
@@ -550,129 +2308,147 @@ document.addEventListener("DOMContentLoaded", () => {
   function formatSchedule(details) {
     // If schedule_details is available, use the structured data
     if (details.schedule_details) {
-      const days = details.schedule_details.days.join(", ");
-
-      // Convert 24h time format to 12h AM/PM format for display
-      const formatTime = (time24) => {
-        const [hours, minutes] = time24.split(":").map((num) => parseInt(num));
-        const period = hours >= 12 ? "PM" : "AM";
-        const displayHours = hours % 12 || 12; // Convert 0 to 12 for 12 AM
-        return `${displayHours}:${minutes
-          .toString()
-          .padStart(2, "0")} ${period}`;
-      };
-
-      const startTime = formatTime(details.schedule_details.start_time);
-      const endTime = formatTime(details.schedule_details.end_time);
-
-      return `${days}, ${startTime} - ${endTime}`;
+      const days = formatList(details.schedule_details.days.map((day) => formatDayName(day)), "unit");
+      return `${days}, ${formatTimeRange(details.schedule_details)}`;
     }
 
     // Fallback to the string format if schedule_details isn't available
     return details.schedule;
   }
 
-  // Function to determine activity type (this would ideally come from backend)
-  function getActivityType(activityName, description) {
-    const name = activityName.toLowerCase();
-    const desc = description.toLowerCase();
-
-    if (
-      name.includes("soccer") ||
-      name.includes("basketball") ||
-      name.includes("sport") ||
-      name.includes("fitness") ||
-      desc.includes("team") ||
-      desc.includes("game") ||
-      desc.includes("athletic")
-    ) {
-      return "sports";
-    } else if (
-      name.includes("art") ||
-      name.includes("music") ||
-      name.includes("theater") ||
-      name.includes("drama") ||
-      desc.includes("creative") ||
-      desc.includes("paint")
-    ) {
-      return "arts";
-    } else if (
-      name.includes("science") ||
-      name.includes("math") ||
-      name.includes("academic") ||
-      name.includes("study") ||
-      name.includes("olympiad") ||
-      desc.includes("learning") ||
-      desc.includes("education") ||
-      desc.includes("competition")
-    ) {
-      return "academic";
-    } else if (
-      name.includes("volunteer") ||
-      name.includes("community") ||
-      desc.includes("service") ||
-      desc.includes("volunteer")
-    ) {
-      return "community";
-    } else if (
-      name.includes("computer") ||
-      name.includes("coding") ||
-      name.includes("tech") ||
-      name.includes("robotics") ||
-      desc.includes("programming") ||
-      desc.includes("technology") ||
-      desc.includes("digital") ||
-      desc.includes("robot")
-    ) {
-      return "technology";
-    }
-
-    // Default to "academic" if no match
-    return "academic";
-  }
-
-  // Function to fetch activities from API with optional day and time filters
-  async function fetchActivities() {
+  function formatTimeRange(scheduleDetails) {
+    return `${formatTime(scheduleDetails.start_time)} - ${formatTime(scheduleDetails.end_time)}`;
+  }
+
+  // Look up display info for an activity's category
+  function getActivityTypeInfo(details) {
+    return activityTypes[details.category] || { ...uncategorizedType, label: t("category.other") };
+  }
+
+  // Fetch categories and build the category filter buttons from them
+  async function fetchCategories() {
+    try {
+      const response = await fetch("/categories");
+      if (!response.ok) return;
+      const categories = await response.json();
+
+      activityTypes = {};
+      categories.forEach((category) => {
+        activityTypes[category.key] = {
+          label: category.label,
+          color: category.color,
+          textColor: category.text_color,
+        };
+      });
+
+      renderCategoryFilters();
+      // Re-render cards that were drawn before categories arrived
+      if (Object.keys(allActivities).length > 0) {
+        displayFilteredActivities();
+      }
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+    }
+  }
+
+  function renderCategoryFilters() {
+    categoryFiltersContainer.innerHTML = "";
+    const entries = [["all", { label: t("filters.allCategories") }], ...Object.entries(activityTypes)];
+
+    entries.forEach(([key, type]) => {
+      const button = document.createElement("button");
+      button.className = "category-filter";
+      button.dataset.category = key;
+      button.textContent = type.label;
+      if (key === currentFilter) {
+        button.classList.add("active");
+      }
+      button.addEventListener("click", () => setCategoryFilter(key));
+      categoryFiltersContainer.appendChild(button);
+    });
+  }
+
+  // Function to set category filter
+  function setCategoryFilter(category) {
+    applyFilterState({ ...getFilterState(), category });
+    updateUrl();
+    fetchActivities();
+  }
+
+  // Function to fetch activities from API with optional day and time filters.
+  // `append` loads the next page; otherwise the pages shown so far are reloaded.
+  async function fetchActivities({ append = false } = {}) {
     // Show loading skeletons first
-    showLoadingSkeletons();
+    if (!append) {
+      showLoadingSkeletons();
+    }
 
     try {
       // Build query string with filters if they exist
       let queryParams = [];
 
-      // Handle day filter
-      if (currentDay) {
-        queryParams.push(`day=${encodeURIComponent(currentDay)}`);
+      // Handle category filter
+      if (currentFilter && currentFilter !== "all") {
+        queryParams.push(`category=${encodeURIComponent(currentFilter)}`);
       }
 
-      // Handle time range filter
-      if (currentTimeRange) {
-        const range = timeRanges[currentTimeRange];
-
-        // Handle weekend special case
-        if (currentTimeRange === "weekend") {
-          // Don't add time parameters for weekend filter
-          // Weekend filtering will be handled on the client side
-        } else if (range) {
-          // Add time parameters for before/after school
-          queryParams.push(`start_time=${encodeURIComponent(range.start)}`);
-          queryParams.push(`end_time=${encodeURIComponent(range.end)}`);
-        }
+      // Handle day filter (activities meeting on any selected day)
+      if (currentDays.length > 0) {
+        queryParams.push(`day=${encodeURIComponent(currentDays.join(","))}`);
+      }
+
+      // Handle time range filter (activities overlapping the window)
+      const range = getActiveTimeWindow();
+      if (range) {
+        if (range.start) queryParams.push(`start_time=${encodeURIComponent(range.start)}`);
+        if (range.end) queryParams.push(`end_time=${encodeURIComponent(range.end)}`);
+      }
+
+      // Handle sorting and pagination
+      queryParams.push(`sort=${currentSort}`, `order=${sortOrders[currentSort]}`);
+      const shownSize = activitiesPageSize * loadedPages;
+      if (append) {
+        queryParams.push(`page=${loadedPages + 1}`, `page_size=${activitiesPageSize}`);
+      } else if (shouldPaginate() && shownSize <= maxPageSize) {
+        queryParams.push(`page=1`, `page_size=${shownSize}`);
       }
 
       const queryString =
         queryParams.length > 0 ? `?${queryParams.join("&")}` : "";
       const response = await fetch(`/activities${queryString}`);
+      if (response.status === 503 && !navigator.onLine) {
+        // The service worker has no saved copy for these filters
+        throw new Error("Offline without saved activities");
+      }
+      if (!response.ok) {
+        throw new Error(`Unexpected status ${response.status}`);
+      }
       const activities = await response.json();
+      showingSavedActivities = response.headers.get("X-Served-From-Cache") === "true";
+      updateConnectionStatus();
 
       // Save the activities data
-      allActivities = activities;
+      totalActivities =
+        Number(response.headers.get("X-Total-Count")) || Object.keys(activities).length;
+      if (append) {
+        allActivities = { ...allActivities, ...activities };
+        loadedPages += 1;
+      } else {
+        allActivities = activities;
+      }
 
-      // Apply search and filter, and handle weekend filter in client
+      // Apply search
       displayFilteredActivities();
     } catch (error) {
-      activitiesList.innerHTML =
-        "<p>Failed to load activities. Please try again later.</p>";
+      if (append) {
+        // Keep the cards already shown
+        showMessage(t("activities.loadMoreFailed"), "error");
+        loadMoreButton.disabled = false;
+      } else if (!navigator.onLine) {
+        activitiesList.innerHTML = `<p>${t("offline.notSaved")}</p>`;
+      } else {
+        activitiesList.innerHTML = `<p>${t("activities.loadFailed")}</p>`;
+      }
       console.error("Error fetching activities:", error);
     }
   }
@@ -682,68 +2458,364 @@ document.addEventListener("DOMContentLoaded", () => {
     // Clear the activities list
     activitiesList.innerHTML = "";
 
-    // Apply client-side filtering - this handles category filter and search, plus weekend filter
-    let filteredActivities = {};
+    // Day, time and category filters were applied by the server
+    let filteredActivities = { ...allActivities };
+
+    // Apply search filter, ordering by relevance
+    const highlights = {};
+    cardHighlights = highlights;
+    if (searchQuery.trim()) {
+      const ranked = rankSearchResults(filteredActivities);
+      filteredActivities = {};
+      ranked.forEach((result) => {
+        filteredActivities[result.name] = allActivities[result.name];
+        highlights[result.name] = result.words;
+      });
+    }
 
-    Object.entries(allActivities).forEach(([name, details]) => {
-      const activityType = getActivityType(name, details.description);
+    // Show the list or the calendar depending on the selected view
+    activitiesList.classList.toggle("hidden", currentView === "calendar");
+    activitiesCalendar.classList.toggle("hidden", currentView !== "calendar");
+    updateLoadMore();
 
-      // Apply category filter
-      if (currentFilter !== "all" && activityType !== currentFilter) {
-        return;
+    if (currentView === "calendar") {
+      renderCalendarView(filteredActivities);
+      return;
+    }
+
+    // Check if there are any results
+    if (Object.keys(filteredActivities).length === 0) {
+      activitiesList.innerHTML = noResultsHtml();
+      return;
+    }
+
+    // Display filtered activities
+    Object.entries(filteredActivities).forEach(([name, details]) => {
+      renderActivityCard(name, details, highlights[name] || []);
+    });
+  }
+
+  function noResultsHtml() {
+    return `
+        <div class="no-results">
+          <h4>${t("activities.noResults")}</h4>
+          <p>${t("activities.noResultsHint")}</p>
+        </div>
+      `;
+  }
+
+  // Show how many activities are loaded and whether there are more pages
+  function updateLoadMore() {
+    const loaded = Object.keys(allActivities).length;
+    if (!shouldPaginate() || totalActivities === 0) {
+      loadMoreContainer.classList.add("hidden");
+      return;
+    }
+
+    loadMoreContainer.classList.remove("hidden");
+    loadMoreStatus.textContent = t("activities.showingCount", { loaded, count: totalActivities });
+    loadMoreButton.classList.toggle("hidden", loaded >= totalActivities);
+    loadMoreButton.disabled = false;
+  }
+
+  loadMoreButton.addEventListener("click", () => {
+    loadMoreButton.disabled = true;
+    fetchActivities({ append: true });
+  });
+
+  sortSelect.addEventListener("change", () => {
+    setSortOrder(sortSelect.value);
+  });
+
+  // Search ranking and highlighting
+  const searchFieldWeights = { name: 3, description: 1, schedule: 0.5 };
+
+  function tokenize(text) {
+    return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  }
+
+  // Levenshtein distance, giving up once it exceeds `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
       }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
 
-      // Apply weekend filter if selected
-      if (currentTimeRange === "weekend" && details.schedule_details) {
-        const activityDays = details.schedule_details.days;
-        const isWeekendActivity = activityDays.some((day) =>
-          timeRanges.weekend.days.includes(day)
-        );
+  // How well one query term matches one word: exact, prefix, substring or a typo
+  function termMatchScore(term, word) {
+    if (word === term) return 1;
+    if (term.length >= 2 && word.startsWith(term)) return 0.8;
+    if (term.length >= 3 && word.includes(term)) return 0.6;
+    const allowedTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    const distance = editDistance(term, word, allowedTypos);
+    return distance <= allowedTypos ? 0.5 - 0.1 * distance : 0;
+  }
 
-        if (!isWeekendActivity) {
-          return;
-        }
+  // Score an activity against every query term (all terms must match).
+  // Returns null when it does not match, otherwise its score and the matched words.
+  function fuzzyScore(name, details, terms) {
+    const fields = {
+      name: tokenize(name),
+      description: tokenize(details.description),
+      schedule: tokenize(formatSchedule(details)),
+    };
+
+    let total = 0;
+    const words = [];
+    for (const term of terms) {
+      let best = 0;
+      let bestWord = null;
+      Object.entries(fields).forEach(([field, fieldWords]) => {
+        fieldWords.forEach((word) => {
+          const score = termMatchScore(term, word) * searchFieldWeights[field];
+          if (score > best) {
+            best = score;
+            bestWord = word;
+          }
+        });
+      });
+      if (!bestWord) return null;
+      total += best;
+      words.push(bestWord);
+    }
+    return { score: total, words };
+  }
+
+  // Rank the given activities for the current search text. Server results are
+  // used when they match something; otherwise the fuzzy matcher ranks them.
+  function rankSearchResults(activities) {
+    const terms = tokenize(searchQuery);
+    if (terms.length === 0) return [];
+
+    const fuzzy = {};
+    Object.entries(activities).forEach(([name, details]) => {
+      const match = fuzzyScore(name, details, terms);
+      if (match) fuzzy[name] = match;
+    });
+
+    const server =
+      serverSearch && serverSearch.query === searchQuery.trim()
+        ? serverSearch.ranking.filter((result) => result.name in activities)
+        : [];
+
+    if (server.length > 0) {
+      return server.map((result) => ({
+        name: result.name,
+        words: terms.concat(fuzzy[result.name] ? fuzzy[result.name].words : []),
+      }));
+    }
+
+    return Object.entries(fuzzy)
+      .sort(([nameA, a], [nameB, b]) => b.score - a.score || nameA.localeCompare(nameB))
+      .map(([name, match]) => ({ name, words: terms.concat(match.words) }));
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Escape text and wrap occurrences of the given words in <mark>
+  function highlightText(text, words) {
+    const unique = [...new Set(words.filter(Boolean))].sort((a, b) => b.length - a.length);
+    if (unique.length === 0) return escapeHtml(text);
+
+    // Only match at the start of words, so "art" does not light up "start"
+    const pattern = new RegExp(`\\b(${unique.map(escapeRegExp).join("|")})`, "gi");
+    // split() with a capture group puts the matches at odd indexes
+    return text
+      .split(pattern)
+      .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join("");
+  }
+
+  // Convert "HH:MM" to minutes since midnight
+  function toMinutes(time24) {
+    const [hours, minutes] = time24.split(":").map((num) => parseInt(num));
+    return hours * 60 + minutes;
+  }
+
+  // Whether a day column should show blocks under the current day filter
+  function isCalendarDayVisible(day) {
+    return currentDays.length === 0 || currentDays.includes(day);
+  }
+
+  // Assign overlapping events to side-by-side lanes.
+  // Events that overlap (directly or through a chain) share one lane count.
+  function layoutDayEvents(events) {
+    events.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    let cluster = [];
+    let clusterEnd = -1;
+    const closeCluster = () => {
+      const lanes = Math.max(...cluster.map((e) => e.lane)) + 1;
+      cluster.forEach((e) => {
+        e.lanes = lanes;
+      });
+    };
+
+    events.forEach((event) => {
+      if (cluster.length > 0 && event.start >= clusterEnd) {
+        closeCluster();
+        cluster = [];
+        clusterEnd = -1;
       }
 
-      // Apply search filter
-      const searchableContent = [
-        name.toLowerCase(),
-        details.description.toLowerCase(),
-        formatSchedule(details).toLowerCase(),
-      ].join(" ");
-
-      if (
-        searchQuery &&
-        !searchableContent.includes(searchQuery.toLowerCase())
-      ) {
-        return;
+      // Reuse the first lane that is free by the time this event starts
+      const laneEnds = [];
+      cluster.forEach((e) => {
+        laneEnds[e.lane] = Math.max(laneEnds[e.lane] || 0, e.end);
+      });
+      let lane = laneEnds.findIndex((end) => end <= event.start);
+      if (lane === -1) {
+        lane = laneEnds.length;
       }
 
-      // Activity passed all filters, add to filtered list
-      filteredActivities[name] = details;
+      event.lane = lane;
+      cluster.push(event);
+      clusterEnd = Math.max(clusterEnd, event.end);
     });
 
-    // Check if there are any results
-    if (Object.keys(filteredActivities).length === 0) {
-      activitiesList.innerHTML = `
-        <div class="no-results">
-          <h4>No activities found</h4>
-          <p>Try adjusting your search or filter criteria</p>
-        </div>
-      `;
+    if (cluster.length > 0) {
+      closeCluster();
+    }
+    return events;
+  }
+
+  // Render filtered activities as blocks on a Monday-Sunday time grid
+  function renderCalendarView(activities) {
+    activitiesCalendar.innerHTML = "";
+
+    const eventsByDay = {};
+    calendarDays.forEach((day) => {
+      eventsByDay[day] = [];
+    });
+
+    // Default to the school day, widened to fit every activity
+    let startHour = 7;
+    let endHour = 18;
+
+    Object.entries(activities).forEach(([name, details]) => {
+      if (!details.schedule_details) return;
+      const start = toMinutes(details.schedule_details.start_time);
+      const end = toMinutes(details.schedule_details.end_time);
+
+      details.schedule_details.days.forEach((day) => {
+        if (!eventsByDay[day] || !isCalendarDayVisible(day)) return;
+        eventsByDay[day].push({ name, details, start, end });
+        startHour = Math.min(startHour, Math.floor(start / 60));
+        endHour = Math.max(endHour, Math.ceil(end / 60));
+      });
+    });
+
+    const totalEvents = calendarDays.reduce(
+      (count, day) => count + eventsByDay[day].length,
+      0
+    );
+    if (totalEvents === 0) {
+      activitiesCalendar.innerHTML = noResultsHtml();
       return;
     }
 
-    // Display filtered activities
-    Object.entries(filteredActivities).forEach(([name, details]) => {
-      renderActivityCard(name, details);
+    const gridHeight = (endHour - startHour) * calendarHourHeight;
+    const calendar = document.createElement("div");
+    calendar.className = "calendar";
+
+    // Header row with day names
+    const header = document.createElement("div");
+    header.className = "calendar-header";
+    header.innerHTML =
+      `<div></div>` +
+      calendarDays
+        .map((day) => `<div class="calendar-day-heading">${formatDayName(day, "short")}</div>`)
+        .join("");
+    calendar.appendChild(header);
+
+    const body = document.createElement("div");
+    body.className = "calendar-body";
+    body.style.height = `${gridHeight}px`;
+
+    // Hour labels
+    const times = document.createElement("div");
+    times.className = "calendar-times";
+    for (let hour = startHour; hour < endHour; hour++) {
+      const label = document.createElement("div");
+      label.className = "calendar-time-label";
+      label.style.top = `${(hour - startHour) * calendarHourHeight}px`;
+      label.textContent = formatTime(`${hour}:00`, { hourOnly: true });
+      times.appendChild(label);
+    }
+    body.appendChild(times);
+
+    calendarDays.forEach((day) => {
+      const column = document.createElement("div");
+      column.className = "calendar-day";
+      column.style.backgroundSize = `100% ${calendarHourHeight}px`;
+
+      layoutDayEvents(eventsByDay[day]).forEach((event) => {
+        const typeInfo = getActivityTypeInfo(event.details);
+        const block = document.createElement("div");
+        block.className = "calendar-event";
+        block.tabIndex = 0;
+        block.style.top = `${((event.start - startHour * 60) / 60) * calendarHourHeight}px`;
+        block.style.height = `${((event.end - event.start) / 60) * calendarHourHeight}px`;
+        block.style.left = `${(event.lane / event.lanes) * 100}%`;
+        block.style.width = `${100 / event.lanes}%`;
+        block.style.backgroundColor = typeInfo.color;
+        block.style.color = typeInfo.textColor;
+        block.style.borderLeftColor = typeInfo.textColor;
+
+        const schedule = formatSchedule(event.details);
+        block.title = `${event.name} - ${schedule}`;
+        block.setAttribute("aria-label", `${event.name}, ${formatDayName(day)}, ${schedule}`);
+        block.innerHTML = `
+          <strong>${escapeHtml(event.name)}</strong>
+          <span>${escapeHtml(formatTimeRange(event.details.schedule_details))}</span>
+        `;
+        column.appendChild(block);
+      });
+
+      body.appendChild(column);
     });
+
+    calendar.appendChild(body);
+    activitiesCalendar.appendChild(calendar);
+  }
+
+  // Function to set the list/calendar view
+  function setView(view) {
+    const wasPaginated = shouldPaginate();
+    applyFilterState({ ...getFilterState(), view });
+    updateUrl();
+    refreshForPaging(wasPaginated);
   }
 
+  viewOptions.forEach((button) => {
+    button.addEventListener("click", () => {
+      setView(button.dataset.view);
+    });
+  });
+
   // Function to render a single activity card
-  function renderActivityCard(name, details) {
+  function renderActivityCard(name, details, highlightWords = []) {
+    activitiesList.appendChild(createActivityCard(name, details, highlightWords));
+  }
+
+  // Build the card element for one activity
+  function createActivityCard(name, details, highlightWords = []) {
     const activityCard = document.createElement("div");
     activityCard.className = "activity-card";
+    activityCard.dataset.activity = name;
 
     // Calculate spots and capacity
     const totalSpots = details.max_participants;
@@ -751,6 +2823,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const spotsLeft = totalSpots - takenSpots;
     const capacityPercentage = (takenSpots / totalSpots) * 100;
     const isFull = spotsLeft <= 0;
+    const waitlist = details.waitlist || [];
 
     // Determine capacity status class
     let capacityStatusClass = "capacity-available";
@@ -761,8 +2834,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     // Determine activity type
-    const activityType = getActivityType(name, details.description);
-    const typeInfo = activityTypes[activityType];
+    const typeInfo = getActivityTypeInfo(details);
 
     // Format the schedule using the new helper function
     const formattedSchedule = formatSchedule(details);
@@ -770,10 +2842,42 @@ document.addEventListener("DOMContentLoaded", () => {
     // Create activity tag
     const tagHtml = `
       <span class="activity-tag" style="background-color: ${typeInfo.color}; color: ${typeInfo.textColor}">
-        ${typeInfo.label}
+        ${escapeHtml(typeInfo.label)}
       </span>
     `;
 
+    // Changes to this activity still waiting in the offline queue
+    const pendingChanges = getOfflineQueue().filter((change) => change.activity === name);
+    const pendingHtml = pendingChanges.length
+      ? `<div class="pending-changes" role="note">
+          <strong>${t("offline.waitingToSync")}</strong>
+          <ul>
+            ${pendingChanges
+              .map((change) => `<li>${escapeHtml(describeOfflineChange(change))}</li>`)
+              .join("")}
+          </ul>
+        </div>`
+      : "";
+
+    // Notices from announcements targeted at this activity or its category
+    const notices = targetedAnnouncements.filter((ann) =>
+      announcementTargetsActivity(ann, name, details)
+    );
+    const noticesHtml = notices.length
+      ? `<div class="activity-notices">
+          ${notices
+            .map(
+              (ann) => `
+            <div class="activity-notice severity-${escapeHtml(ann.severity || "info")}" role="note">
+              <strong>${escapeHtml(ann.title)}</strong>
+              <div class="markdown-content">${renderMarkdown(ann.message)}</div>
+            </div>
+          `
+            )
+            .join("")}
+        </div>`
+      : "";
+
     // Create capacity indicator
     const capacityIndicator = `
       <div class="capacity-container ${capacityStatusClass}">
@@ -781,36 +2885,46 @@ document.addEventListener("DOMContentLoaded", () => {
           <div class="capacity-bar-fill" style="width: ${capacityPercentage}%"></div>
         </div>
         <div class="capacity-text">
-          <span>${takenSpots} enrolled</span>
-          <span>${spotsLeft} spots left</span>
+          <span>${t("card.enrolled", { count: takenSpots })}</span>
+          <span>${
+            isFull
+              ? t("card.onWaitlist", { count: waitlist.length })
+              : t("card.spotsLeft", { count: spotsLeft })
+          }</span>
         </div>
       </div>
     `;
 
     activityCard.innerHTML = `
       ${tagHtml}
-      <h4>${name}</h4>
-      <p>${details.description}</p>
-      <p class="tooltip">
-        <strong>Schedule:</strong> ${formattedSchedule}
-        <span class="tooltip-text">Regular meetings at this time throughout the semester</span>
+      <h4>${highlightText(name, highlightWords)}</h4>
+      ${noticesHtml}
+      <p>${highlightText(details.description, highlightWords)}</p>
+      <p class="tooltip" tabindex="0">
+        <strong>${t("card.schedule")}</strong> ${highlightText(formattedSchedule, highlightWords)}
+        <span class="tooltip-text">${t("card.scheduleTooltip")}</span>
       </p>
+      <a class="calendar-link" href="/calendar/activities/${encodeURIComponent(name)}.ics" download aria-label="${t("card.addToCalendarLabel", { name: escapeHtml(name) })}">
+        📅 ${t("card.addToCalendar")}
+      </a>
       ${capacityIndicator}
+      ${pendingHtml}
       <div class="participants-list">
-        <h5>Current Participants:</h5>
+        <h5>${t("card.participants")}</h5>
         <ul>
           ${details.participants
             .map(
               (email) => `
             <li>
-              ${email}
+              ${escapeHtml(email)}
               ${
                 currentUser
                   ? `
-                <span class="delete-participant tooltip" data-activity="${name}" data-email="${email}">
-                  ✖
-                  <span class="tooltip-text">Unregister this student</span>
-                </span>
+                <button type="button" class="delete-participant tooltip" data-activity="${escapeHtml(name)}" data-email="${escapeHtml(email)}"
+                  aria-label="${escapeHtml(t("card.unregisterStudentNamed", { email }))}">
+                  <span aria-hidden="true">✖</span>
+                  <span class="tooltip-text" aria-hidden="true">${t("card.unregisterStudent")}</span>
+                </button>
               `
                   : ""
               }
@@ -820,19 +2934,55 @@ document.addEventListener("DOMContentLoaded", () => {
             .join("")}
         </ul>
       </div>
+      ${
+        waitlist.length > 0
+          ? `
+      <div class="participants-list waitlist">
+        <h5>${t("card.waitlist", { count: waitlist.length })}</h5>
+        <ol>
+          ${waitlist
+            .map(
+              (email, index) => `
+            <li>
+              <span><span class="waitlist-position">#${index + 1}</span> ${escapeHtml(email)}</span>
+              ${
+                currentUser
+                  ? `
+                <button type="button" class="delete-participant remove-waitlisted tooltip" data-activity="${escapeHtml(name)}" data-email="${escapeHtml(email)}"
+                  aria-label="${escapeHtml(t("card.removeFromWaitlistNamed", { email }))}">
+                  <span aria-hidden="true">✖</span>
+                  <span class="tooltip-text" aria-hidden="true">${t("card.removeFromWaitlist")}</span>
+                </button>
+              `
+                  : ""
+              }
+            </li>
+          `
+            )
+            .join("")}
+        </ol>
+      </div>
+      `
+          : ""
+      }
       <div class="activity-card-actions">
         ${
           currentUser
             ? `
-          <button class="register-button" data-activity="${name}" ${
-                isFull ? "disabled" : ""
-              }>
-            ${isFull ? "Activity Full" : "Register Student"}
+          <button class="register-button ${isFull ? "waitlist-button" : ""}" data-activity="${escapeHtml(name)}">
+            ${isFull ? t("card.addToWaitlist") : t("card.registerStudent")}
           </button>
+          ${
+            canManageActivity(details)
+              ? `<button class="attendance-button" data-activity="${escapeHtml(name)}">
+            📋 ${t("card.takeAttendance")}
+          </button>`
+              : ""
+          }
         `
             : `
           <div class="auth-notice">
-            Teachers can register students.
+            ${t("card.teachersCanRegister")}
           </div>
         `
         }
@@ -840,93 +2990,201 @@ document.addEventListener("DOMContentLoaded", () => {
     `;
 
     // Add click handlers for delete buttons
-    const deleteButtons = activityCard.querySelectorAll(".delete-participant");
+    const deleteButtons = activityCard.querySelectorAll(
+      ".delete-participant:not(.remove-waitlisted)"
+    );
     deleteButtons.forEach((button) => {
       button.addEventListener("click", handleUnregister);
     });
 
+    activityCard.querySelectorAll(".remove-waitlisted").forEach((button) => {
+      button.addEventListener("click", handleWaitlistRemove);
+    });
+
     // Add click handler for register button (only when authenticated)
     if (currentUser) {
       const registerButton = activityCard.querySelector(".register-button");
-      if (!isFull) {
-        registerButton.addEventListener("click", () => {
-          openRegistrationModal(name);
-        });
+      registerButton.addEventListener("click", () => {
+        openRegistrationModal(name, isFull ? "waitlist" : "signup");
+      });
+
+      const attendanceButton = activityCard.querySelector(".attendance-button");
+      if (attendanceButton) {
+        attendanceButton.addEventListener("click", () => openAttendanceModal(name));
       }
     }
 
-    activitiesList.appendChild(activityCard);
+    return activityCard;
   }
 
   // Event listeners for search and filter
   searchInput.addEventListener("input", (event) => {
-    searchQuery = event.target.value;
-    displayFilteredActivities();
+    // One history entry per search: only the first keystroke adds one
+    setSearchQuery(event.target.value, { replace: searchQuery !== "" });
   });
 
   searchButton.addEventListener("click", (event) => {
     event.preventDefault();
-    searchQuery = searchInput.value;
-    displayFilteredActivities();
+    setSearchQuery(searchInput.value);
   });
 
-  // Add event listeners to category filter buttons
-  categoryFilters.forEach((button) => {
+  // Add event listeners to day filter buttons
+  // "All Days" clears the selection; the other buttons toggle their day
+  dayFilters.forEach((button) => {
     button.addEventListener("click", () => {
-      // Update active class
-      categoryFilters.forEach((btn) => btn.classList.remove("active"));
-      button.classList.add("active");
+      if (button.dataset.day) {
+        toggleDayFilter(button.dataset.day);
+      } else {
+        setDayFilter([]);
+      }
+    });
+  });
 
-      // Update current filter and display filtered activities
-      currentFilter = button.dataset.category;
-      displayFilteredActivities();
+  // Clicking a selected shortcut again goes back to every day
+  dayPresetButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      const preset = dayPresets[button.dataset.preset];
+      setDayFilter(currentDays.join(",") === preset.join(",") ? [] : preset);
     });
   });
 
-  // Add event listeners to day filter buttons
-  dayFilters.forEach((button) => {
+  // Add event listeners for time filter buttons
+  timeFilters.forEach((button) => {
     button.addEventListener("click", () => {
-      // Update active class
-      dayFilters.forEach((btn) => btn.classList.remove("active"));
-      button.classList.add("active");
+      setTimeRangeFilter(button.dataset.time);
+    });
+  });
+
+  [timeFrom, timeTo].forEach((input) => {
+    input.addEventListener("change", () => {
+      setCustomTimeRange(timeFrom.value, timeTo.value);
+    });
+  });
+
+  const registrationDialog = createModal(registrationModal, {
+    initialFocus: "#email",
+    onClose: () => {
+      signupForm.reset();
+      renderRosterResults([]);
+      hideBulkResults();
+    },
+  });
+
+  // Open registration modal, either to register or to join the waitlist
+  function openRegistrationModal(activityName, mode = "signup") {
+    registrationMode = mode;
+    modalActionLabel.textContent =
+      mode === "waitlist" ? t("registration.waitlistFor") : t("registration.registerFor");
+    signupSubmit.textContent =
+      mode === "waitlist" ? t("registration.addToWaitlist") : t("registration.register");
+    modalActivityName.textContent = activityName;
+    activityInput.value = activityName;
+    // Waitlist additions stay one student at a time
+    bulkToggle.classList.toggle("hidden", mode === "waitlist");
+    setBulkRegistration(false);
+    registrationDialog.open();
+  }
+
+  // Switch the signup form between one email and a pasted or picked list
+  function setBulkRegistration(enabled) {
+    bulkRegistration = enabled;
+    singleEmailGroup.classList.toggle("hidden", enabled);
+    bulkEmailGroup.classList.toggle("hidden", !enabled);
+    // Only the visible field may block submission
+    document.getElementById("email").required = !enabled;
+    bulkEmailsInput.required = enabled;
+    bulkToggle.textContent = t(enabled ? "registration.singleMode" : "registration.bulkMode");
+    hideSignupConflicts();
+    hideBulkResults();
+  }
+
+  bulkToggle.addEventListener("click", () => {
+    setBulkRegistration(!bulkRegistration);
+    (bulkRegistration ? bulkEmailsInput : document.getElementById("email")).focus();
+  });
+
+  // Emails separated by new lines, commas, semicolons or spaces, each once
+  function parseEmailList(text) {
+    return [...new Set(text.split(/[\s,;]+/).filter(Boolean))];
+  }
+
+  function addToBulkList(emails) {
+    const listed = parseEmailList(bulkEmailsInput.value);
+    const additions = emails.filter((email) => !listed.includes(email));
+    if (additions.length === 0) return;
+    bulkEmailsInput.value = [...listed, ...additions].join("\n");
+    renderRosterResults(rosterMatches);
+  }
+
+  // Student directory picker (GET /students) for building the list
+  let rosterSearchTimer = null;
+  let rosterMatches = [];
+
+  rosterSearch.addEventListener("input", () => {
+    // Debounce searches while typing
+    clearTimeout(rosterSearchTimer);
+    const query = rosterSearch.value.trim();
+    if (query.length < 2) {
+      renderRosterResults([]);
+      return;
+    }
+    rosterSearchTimer = setTimeout(() => loadRosterResults(query), 250);
+  });
+
+  async function loadRosterResults(query) {
+    try {
+      const resp = await authFetch(`/students?query=${encodeURIComponent(query)}`);
+      if (!resp.ok) return;
+      const emails = await resp.json();
+      renderRosterResults(emails);
+      if (emails.length === 0) {
+        rosterResults.innerHTML = `<li class="roster-empty">${escapeHtml(
+          t("registration.rosterNoMatches", { query })
+        )}</li>`;
+      }
+    } catch (err) {
+      console.error("Error searching the student directory:", err);
+    }
+  }
+
+  // Matches already in the list or in the activity cannot be added again
+  function renderRosterResults(emails) {
+    rosterMatches = emails;
+    const listed = parseEmailList(bulkEmailsInput.value);
+    const activity = allActivities[activityInput.value];
+    const participants = activity ? activity.participants : [];
+    rosterResults.innerHTML = emails
+      .map((email) => {
+        const registered = participants.includes(email);
+        const label = registered
+          ? t("registration.rosterRegistered", { email })
+          : t("registration.rosterAdd", { email });
+        const disabled = registered || listed.includes(email) ? "disabled" : "";
+        return `<li><button type="button" class="roster-add" data-email="${escapeHtml(
+          email
+        )}" ${disabled}>${escapeHtml(label)}</button></li>`;
+      })
+      .join("");
+    rosterAddAll.classList.toggle("hidden", emails.length < 2);
+  }
 
-      // Update current day filter and fetch activities
-      currentDay = button.dataset.day;
-      fetchActivities();
-    });
+  rosterResults.addEventListener("click", (event) => {
+    const button = event.target.closest(".roster-add");
+    if (button) addToBulkList([button.dataset.email]);
   });
 
-  // Add event listeners for time filter buttons
-  timeFilters.forEach((button) => {
-    button.addEventListener("click", () => {
-      // Update active class
-      timeFilters.forEach((btn) => btn.classList.remove("active"));
-      button.classList.add("active");
-
-      // Update current time filter and fetch activities
-      currentTimeRange = button.dataset.time;
-      fetchActivities();
-    });
+  rosterAddAll.addEventListener("click", () => {
+    const activity = allActivities[activityInput.value];
+    const participants = activity ? activity.participants : [];
+    addToBulkList(rosterMatches.filter((email) => !participants.includes(email)));
   });
 
-  // Open registration modal
-  function openRegistrationModal(activityName) {
-    modalActivityName.textContent = activityName;
-    activityInput.value = activityName;
-    registrationModal.classList.remove("hidden");
-    // Add slight delay to trigger animation
-    setTimeout(() => {
-      registrationModal.classList.add("show");
-    }, 10);
-  }
+  // Rebuild the list buttons' disabled state as the pasted list changes
+  bulkEmailsInput.addEventListener("input", () => renderRosterResults(rosterMatches));
 
   // Close registration modal
   function closeRegistrationModalHandler() {
-    registrationModal.classList.remove("show");
-    setTimeout(() => {
-      registrationModal.classList.add("hidden");
-      signupForm.reset();
-    }, 300);
+    registrationDialog.close();
   }
 
   // Event listener for close button
@@ -935,116 +3193,98 @@ document.addEventListener("DOMContentLoaded", () => {
     closeRegistrationModalHandler
   );
 
-  // Close modal when clicking outside of it
-  window.addEventListener("click", (event) => {
-    if (event.target === registrationModal) {
-      closeRegistrationModalHandler();
-    }
-  });
 
-  // Create and show confirmation dialog
-  function showConfirmationDialog(message, confirmCallback) {
-    // Create the confirmation dialog if it doesn't exist
-    let confirmDialog = document.getElementById("confirm-dialog");
-    if (!confirmDialog) {
-      confirmDialog = document.createElement("div");
-      confirmDialog.id = "confirm-dialog";
-      confirmDialog.className = "modal hidden";
-      confirmDialog.innerHTML = `
-        <div class="modal-content">
-          <h3>Confirm Action</h3>
-          <p id="confirm-message"></p>
-          <div style="display: flex; justify-content: flex-end; gap: 10px; margin-top: 20px;">
-            <button id="cancel-button" class="cancel-btn">Cancel</button>
-            <button id="confirm-button" class="confirm-btn">Confirm</button>
-          </div>
+  // Confirmation dialog, built on first use. It is an alertdialog that opens
+  // with Cancel focused so Enter never confirms a destructive action by accident.
+  let confirmDialog = null;
+  let pendingConfirm = null;
+
+  function getConfirmDialog() {
+    if (confirmDialog) return confirmDialog;
+
+    const element = document.createElement("div");
+    element.id = "confirm-dialog";
+    element.className = "modal hidden";
+    element.setAttribute("role", "alertdialog");
+    element.setAttribute("aria-labelledby", "confirm-title");
+    element.setAttribute("aria-describedby", "confirm-message");
+    element.innerHTML = `
+      <div class="modal-content">
+        <h3 id="confirm-title" data-i18n="confirm.title">${t("confirm.title")}</h3>
+        <p id="confirm-message"></p>
+        <div style="display: flex; justify-content: flex-end; gap: 10px; margin-top: 20px;">
+          <button type="button" id="cancel-button" class="cancel-btn" data-i18n="common.cancel">${t("common.cancel")}</button>
+          <button type="button" id="confirm-button" class="confirm-btn" data-i18n="confirm.confirm">${t("confirm.confirm")}</button>
         </div>
-      `;
-      document.body.appendChild(confirmDialog);
-
-      // Style the buttons
-      const cancelBtn = confirmDialog.querySelector("#cancel-button");
-      const confirmBtn = confirmDialog.querySelector("#confirm-button");
-
-      cancelBtn.style.backgroundColor = "#f1f1f1";
-      cancelBtn.style.color = "#333";
-
-      confirmBtn.style.backgroundColor = "#dc3545";
-      confirmBtn.style.color = "white";
-    }
-
-    // Set the message
-    const confirmMessage = document.getElementById("confirm-message");
-    confirmMessage.textContent = message;
+      </div>
+    `;
+    document.body.appendChild(element);
 
-    // Show the dialog
-    confirmDialog.classList.remove("hidden");
-    setTimeout(() => {
-      confirmDialog.classList.add("show");
-    }, 10);
+    // Style the buttons
+    const cancelBtn = element.querySelector("#cancel-button");
+    const confirmBtn = element.querySelector("#confirm-button");
 
-    // Handle button clicks
-    const cancelButton = document.getElementById("cancel-button");
-    const confirmButton = document.getElementById("confirm-button");
+    cancelBtn.style.backgroundColor = "#f1f1f1";
+    cancelBtn.style.color = "#333";
 
-    // Remove any existing event listeners
-    const newCancelButton = cancelButton.cloneNode(true);
-    const newConfirmButton = confirmButton.cloneNode(true);
-    cancelButton.parentNode.replaceChild(newCancelButton, cancelButton);
-    confirmButton.parentNode.replaceChild(newConfirmButton, confirmButton);
+    confirmBtn.style.backgroundColor = "#dc3545";
+    confirmBtn.style.color = "white";
 
-    // Add new event listeners
-    newCancelButton.addEventListener("click", () => {
-      confirmDialog.classList.remove("show");
-      setTimeout(() => {
-        confirmDialog.classList.add("hidden");
-      }, 300);
+    confirmDialog = createModal(element, {
+      initialFocus: "#cancel-button",
+      onClose: () => {
+        pendingConfirm = null;
+      },
     });
 
-    newConfirmButton.addEventListener("click", () => {
-      confirmCallback();
-      confirmDialog.classList.remove("show");
-      setTimeout(() => {
-        confirmDialog.classList.add("hidden");
-      }, 300);
+    cancelBtn.addEventListener("click", () => confirmDialog.close());
+    confirmBtn.addEventListener("click", () => {
+      const callback = pendingConfirm;
+      pendingConfirm = null;
+      confirmDialog.close();
+      if (callback) callback();
     });
 
-    // Close when clicking outside
-    confirmDialog.addEventListener("click", (event) => {
-      if (event.target === confirmDialog) {
-        confirmDialog.classList.remove("show");
-        setTimeout(() => {
-          confirmDialog.classList.add("hidden");
-        }, 300);
-      }
-    });
+    return confirmDialog;
+  }
+
+  // Create and show confirmation dialog
+  function showConfirmationDialog(message, confirmCallback) {
+    const dialog = getConfirmDialog();
+    document.getElementById("confirm-message").textContent = message;
+    pendingConfirm = confirmCallback;
+    dialog.open();
   }
 
   // Handle unregistration with confirmation
   async function handleUnregister(event) {
     // Check if user is authenticated
     if (!currentUser) {
-      showMessage(
-        "You must be logged in as a teacher to unregister students.",
-        "error"
-      );
+      showMessage(t("registration.signInToUnregister"), "error");
       return;
     }
 
-    const activity = event.target.dataset.activity;
-    const email = event.target.dataset.email;
+    const activity = event.currentTarget.dataset.activity;
+    const email = event.currentTarget.dataset.email;
 
-    // Show confirmation dialog
+    confirmUnregister(activity, email);
+  }
+
+  // Confirm, then unregister a student; `onSuccess` runs after the list refresh is started
+  function confirmUnregister(activity, email, onSuccess) {
     showConfirmationDialog(
-      `Are you sure you want to unregister ${email} from ${activity}?`,
+      t("registration.confirmUnregister", { email, activity }),
       async () => {
+        if (!navigator.onLine) {
+          queueOfflineChange({ type: "unregister", activity, email });
+          return;
+        }
+
         try {
-          const response = await fetch(
+          const response = await authFetch(
             `/activities/${encodeURIComponent(
               activity
-            )}/unregister?email=${encodeURIComponent(
-              email
-            )}&teacher_username=${encodeURIComponent(currentUser.username)}`,
+            )}/unregister?email=${encodeURIComponent(email)}`,
             {
               method: "POST",
             }
@@ -1053,55 +3293,188 @@ document.addEventListener("DOMContentLoaded", () => {
           const result = await response.json();
 
           if (response.ok) {
-            showMessage(result.message, "success");
+            const undo = result.undo && {
+              label: t("registration.undo"),
+              onClick: () => undoUnregister(activity, email, result.undo.token, onSuccess),
+            };
+            showMessage(registrationSuccessMessage("unregister", activity, email, result), "success", undo);
             // Refresh the activities list
             fetchActivities();
+            if (onSuccess) onSuccess(result);
           } else {
-            showMessage(result.detail || "An error occurred", "error");
+            showMessage(apiErrorMessage(result, "common.errorOccurred"), "error");
           }
         } catch (error) {
-          showMessage("Failed to unregister. Please try again.", "error");
+          if (isNetworkError(error)) {
+            queueOfflineChange({ type: "unregister", activity, email });
+            return;
+          }
+          showMessage(t("registration.unregisterFailed"), "error");
           console.error("Error unregistering:", error);
         }
       }
     );
   }
 
-  // Show message function
-  function showMessage(text, type) {
+  // Put a just-unregistered student back in their original place
+  async function undoUnregister(activity, email, token, onSuccess) {
+    try {
+      const response = await authFetch(
+        `/activities/${encodeURIComponent(activity)}/unregister/undo?token=${encodeURIComponent(token)}`,
+        { method: "POST" }
+      );
+      const result = await response.json();
+
+      if (response.ok) {
+        showMessage(t("registration.undone", { email, activity }), "success");
+      } else {
+        showMessage(apiErrorMessage(result, "registration.undoFailed"), "error");
+      }
+      // A failed undo may mean the card is out of date, so refresh either way
+      fetchActivities();
+      if (onSuccess) onSuccess(result);
+    } catch (error) {
+      showMessage(t("registration.undoFailed"), "error");
+      console.error("Error undoing unregister:", error);
+    }
+  }
+
+  // Handle removing a student from a waitlist with confirmation
+  function handleWaitlistRemove(event) {
+    if (!currentUser) {
+      showMessage(t("registration.signInToManageWaitlist"), "error");
+      return;
+    }
+
+    const activity = event.currentTarget.dataset.activity;
+    const email = event.currentTarget.dataset.email;
+
+    showConfirmationDialog(
+      t("registration.confirmWaitlistRemove", { email, activity }),
+      async () => {
+        try {
+          const response = await authFetch(
+            `/activities/${encodeURIComponent(
+              activity
+            )}/waitlist?email=${encodeURIComponent(email)}`,
+            {
+              method: "DELETE",
+            }
+          );
+
+          const result = await response.json();
+
+          if (response.ok) {
+            showMessage(t("registration.waitlistRemoved", { email, activity }), "success");
+            fetchActivities();
+          } else {
+            showMessage(apiErrorMessage(result, "common.errorOccurred"), "error");
+          }
+        } catch (error) {
+          showMessage(t("registration.waitlistUpdateFailed"), "error");
+          console.error("Error removing from waitlist:", error);
+        }
+      }
+    );
+  }
+
+  // Show message function. `action` ({ label, onClick }) adds a button, such as
+  // Undo, and keeps the message up longer so there is time to use it.
+  let messageTimer = null;
+
+  function showMessage(text, type, action = null) {
     messageDiv.textContent = text;
     messageDiv.className = `message ${type}`;
+
+    if (action) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "message-action";
+      button.textContent = action.label;
+      button.addEventListener("click", () => {
+        clearTimeout(messageTimer);
+        messageDiv.classList.add("hidden");
+        action.onClick();
+      });
+      messageDiv.append(" ", button);
+    }
+
     messageDiv.classList.remove("hidden");
 
-    // Hide message after 5 seconds
-    setTimeout(() => {
+    // Hide message after 5 seconds (10 when it offers an action)
+    clearTimeout(messageTimer);
+    messageTimer = setTimeout(() => {
       messageDiv.classList.add("hidden");
-    }, 5000);
+    }, action ? 10000 : 5000);
+  }
+
+  // Show the activities that clash with the requested signup
+  function showSignupConflicts(result) {
+    signupConflictsText.textContent = t("errors.schedule_conflict");
+    signupConflictsList.innerHTML = result.params.conflicts
+      .map(
+        (c) =>
+          `<li><strong>${escapeHtml(c.name)}</strong>: ${escapeHtml(
+            formatSchedule({ schedule_details: { ...c } })
+          )}</li>`
+      )
+      .join("");
+    // Only admins may override a conflict
+    signupOverride.classList.toggle("hidden", !isAdmin());
+    signupConflicts.classList.remove("hidden");
+  }
+
+  function hideSignupConflicts() {
+    signupConflicts.classList.add("hidden");
+    signupConflictsList.innerHTML = "";
   }
 
+  signupOverride.addEventListener("click", () => {
+    submitRegistration(true);
+  });
+
+  // Emails from the last batch that clashed with other activities, for the admin override
+  let bulkConflictEmails = [];
+
+  bulkOverride.addEventListener("click", () => {
+    submitBulkRegistration(bulkConflictEmails, true);
+  });
+
   // Handle form submission
-  signupForm.addEventListener("submit", async (event) => {
+  signupForm.addEventListener("submit", (event) => {
     event.preventDefault();
+    submitRegistration(false);
+  });
 
+  // Register the student (or add them to the waitlist); `force` overrides schedule conflicts
+  async function submitRegistration(force) {
     // Check if user is authenticated
     if (!currentUser) {
-      showMessage(
-        "You must be logged in as a teacher to register students.",
-        "error"
-      );
+      showMessage(t("registration.signInToRegister"), "error");
+      return;
+    }
+
+    if (bulkRegistration) {
+      submitBulkRegistration(parseEmailList(bulkEmailsInput.value), force);
       return;
     }
 
     const email = document.getElementById("email").value;
     const activity = activityInput.value;
+    const changeType = registrationMode === "waitlist" ? "waitlist" : "signup";
+
+    if (!navigator.onLine) {
+      queueOfflineChange({ type: changeType, activity, email, force: Boolean(force) });
+      closeRegistrationModalHandler();
+      return;
+    }
 
     try {
-      const response = await fetch(
+      const forceParam = force ? "&force=true" : "";
+      const response = await authFetch(
         `/activities/${encodeURIComponent(
           activity
-        )}/signup?email=${encodeURIComponent(
-          email
-        )}&teacher_username=${encodeURIComponent(currentUser.username)}`,
+        )}/${changeType}?email=${encodeURIComponent(email)}${forceParam}`,
         {
           method: "POST",
         }
@@ -1110,27 +3483,460 @@ document.addEventListener("DOMContentLoaded", () => {
       const result = await response.json();
 
       if (response.ok) {
-        showMessage(result.message, "success");
+        showMessage(registrationSuccessMessage(changeType, activity, email, result), "success");
         closeRegistrationModalHandler();
         // Refresh the activities list after successful signup
         fetchActivities();
+      } else if (result.code === "schedule_conflict") {
+        // Keep the modal open so the teacher can review or override
+        showSignupConflicts(result);
+      } else if (response.status === 409) {
+        // Someone else took the last spot after this card was rendered
+        closeRegistrationModalHandler();
+        fetchActivities();
+        showMessage(t("registration.filledUp", { email, activity }), "error");
       } else {
-        showMessage(result.detail || "An error occurred", "error");
+        showMessage(apiErrorMessage(result, "common.errorOccurred"), "error");
       }
     } catch (error) {
-      showMessage("Failed to sign up. Please try again.", "error");
+      if (isNetworkError(error)) {
+        // The connection dropped mid-request; the server never answered
+        queueOfflineChange({ type: changeType, activity, email, force: Boolean(force) });
+        closeRegistrationModalHandler();
+        return;
+      }
+      showMessage(t("registration.signupFailed"), "error");
       console.error("Error signing up:", error);
     }
+  }
+
+  // Register a list of students through POST /activities/{name}/signup/batch.
+  // The modal stays open with a per-email summary instead of a toast.
+  async function submitBulkRegistration(emails, force) {
+    if (emails.length === 0) {
+      showMessage(t("registration.bulkEmpty"), "error");
+      return;
+    }
+
+    const activity = activityInput.value;
+    const offlineChanges = () =>
+      emails.map((email) => ({ type: "signup", activity, email, force: Boolean(force) }));
+
+    if (!navigator.onLine) {
+      queueOfflineChanges(offlineChanges());
+      closeRegistrationModalHandler();
+      return;
+    }
+
+    try {
+      const forceParam = force ? "?force=true" : "";
+      const response = await authFetch(
+        `/activities/${encodeURIComponent(activity)}/signup/batch${forceParam}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ emails }),
+        }
+      );
+
+      const result = await response.json();
+
+      if (response.ok) {
+        showBulkResults(result);
+        fetchActivities();
+      } else {
+        showMessage(apiErrorMessage(result, "common.errorOccurred"), "error");
+      }
+    } catch (error) {
+      if (isNetworkError(error)) {
+        queueOfflineChanges(offlineChanges());
+        closeRegistrationModalHandler();
+        return;
+      }
+      showMessage(t("registration.signupFailed"), "error");
+      console.error("Error registering students:", error);
+    }
+  }
+
+  // Order of the per-status counts in the summary line
+  const bulkStatuses = ["added", "already_registered", "schedule_conflict", "full", "invalid"];
+
+  function showBulkResults(result) {
+    const parts = bulkStatuses
+      .filter((status) => result.counts[status] > 0)
+      .map((status) => t(`registration.bulkCount.${status}`, { count: result.counts[status] }));
+    bulkSummary.textContent = t("registration.bulkSummary", {
+      activity: activityInput.value,
+      summary: formatList(parts),
+    });
+
+    bulkResultsList.innerHTML = result.results
+      .map((r) => {
+        const [className, icon] =
+          r.status === "added"
+            ? ["sync-ok", "✓"]
+            : r.status === "already_registered"
+              ? ["sync-skipped", "•"]
+              : ["sync-conflict", "⚠"];
+        return `
+        <li class="${className}">
+          <span aria-hidden="true">${icon}</span>
+          ${escapeHtml(r.email)}: ${escapeHtml(bulkResultLabel(r))}
+        </li>
+      `;
+      })
+      .join("");
+
+    // Keep the emails that still need attention so they can be fixed and resent
+    const remaining = result.results
+      .filter((r) => r.status !== "added" && r.status !== "already_registered")
+      .map((r) => r.email);
+    bulkEmailsInput.value = remaining.join("\n");
+    renderRosterResults(rosterMatches);
+
+    bulkConflictEmails = result.results
+      .filter((r) => r.status === "schedule_conflict")
+      .map((r) => r.email);
+    bulkOverride.classList.toggle("hidden", !isAdmin() || bulkConflictEmails.length === 0);
+    bulkResults.classList.remove("hidden");
+  }
+
+  function hideBulkResults() {
+    bulkResults.classList.add("hidden");
+    bulkResultsList.innerHTML = "";
+    bulkConflictEmails = [];
+  }
+
+  function bulkResultLabel(result) {
+    if (result.status === "schedule_conflict") {
+      return t("registration.bulkResult.schedule_conflict", {
+        activities: formatList(result.conflicts.map((c) => c.name)),
+      });
+    }
+    return t(`registration.bulkResult.${result.status}`);
+  }
+
+  // fetch() rejects with a TypeError when the request never reached the server
+  function isNetworkError(error) {
+    return error instanceof TypeError;
+  }
+
+  // Success message for a signup, waitlist join or unregister (`result` is the API response)
+  function registrationSuccessMessage(type, activity, email, result) {
+    if (type === "waitlist") {
+      return t("registration.waitlisted", { email, activity, position: result.position });
+    }
+    if (type === "unregister" && result.promoted && result.promoted.length) {
+      return t("registration.unregisteredPromoted", {
+        email,
+        activity,
+        promoted: formatList(result.promoted),
+      });
+    }
+    return t(type === "unregister" ? "registration.unregistered" : "registration.signedUp", {
+      email,
+      activity,
+    });
+  }
+
+  function describeOfflineChange(change) {
+    return t(`offline.change.${change.type}`, { email: change.email, activity: change.activity });
+  }
+
+  function getOfflineQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(offlineQueueKey));
+      return Array.isArray(queue) ? queue : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveOfflineQueue(queue) {
+    localStorage.setItem(offlineQueueKey, JSON.stringify(queue));
+  }
+
+  function queueOfflineChange(change) {
+    queueOfflineChanges([change]);
+  }
+
+  // Queue changes to replay in order once the connection returns
+  function queueOfflineChanges(changes) {
+    const queue = getOfflineQueue();
+    changes.forEach((change) => {
+      queue.push({
+        ...change,
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        queuedAt: new Date().toISOString(),
+      });
+    });
+    saveOfflineQueue(queue);
+
+    showMessage(
+      changes.length === 1
+        ? t("offline.queued", { change: describeOfflineChange(changes[0]) })
+        : t("offline.queuedMany", { count: changes.length }),
+      "info"
+    );
+    updateConnectionStatus();
+    displayFilteredActivities();
+  }
+
+  // Send queued changes in the order they were made and report how each went.
+  // Rejections (4xx) such as a full activity or an existing registration are
+  // conflicts: they are reported and dropped. A lost connection, an expired
+  // session or a server error (5xx, including the service worker's offline 503)
+  // stops the replay and keeps the remaining changes queued.
+  async function replayOfflineQueue() {
+    if (replayingQueue || !navigator.onLine || !currentUser) return;
+    if (getOfflineQueue().length === 0) return;
+
+    replayingQueue = true;
+    const results = [];
+    for (const change of getOfflineQueue()) {
+      const forceParam = change.force ? "&force=true" : "";
+      let response;
+      try {
+        response = await authFetch(
+          `/activities/${encodeURIComponent(change.activity)}/${change.type}?email=${encodeURIComponent(
+            change.email
+          )}${forceParam}`,
+          { method: "POST" }
+        );
+      } catch (error) {
+        break;
+      }
+      if (response.status === 401 || response.status >= 500) break;
+
+      const result = await response.json().catch(() => ({}));
+      results.push({
+        change,
+        ok: response.ok,
+        message: response.ok
+          ? registrationSuccessMessage(change.type, change.activity, change.email, result)
+          : `${describeOfflineChange(change)}: ${apiErrorMessage(result, "offline.failed")}`,
+      });
+      saveOfflineQueue(getOfflineQueue().filter((queued) => queued.id !== change.id));
+    }
+    replayingQueue = false;
+
+    updateConnectionStatus();
+    if (results.length > 0) {
+      showSyncResults(results);
+      fetchActivities();
+    }
+  }
+
+  function showSyncResults(results) {
+    const conflicts = results.filter((r) => !r.ok).length;
+    syncResultsList.innerHTML = results
+      .map(
+        (r) => `
+        <li class="${r.ok ? "sync-ok" : "sync-conflict"}">
+          <span aria-hidden="true">${r.ok ? "✓" : "⚠"}</span>
+          ${escapeHtml(r.message)}
+        </li>
+      `
+      )
+      .join("");
+    document.getElementById("sync-summary").textContent = conflicts
+      ? t("offline.syncPartial", { succeeded: results.length - conflicts, count: results.length })
+      : t("offline.syncAll", { count: results.length });
+
+    syncDialog.open();
+  }
+
+  const syncDialog = createModal(syncModal);
+
+  function closeSyncModalHandler() {
+    syncDialog.close();
+  }
+
+  closeSyncModal.addEventListener("click", closeSyncModalHandler);
+
+  // Banner saying the page is offline, showing saved data, or has unsent changes
+  function updateConnectionStatus() {
+    const pending = getOfflineQueue().length;
+    const parts = [];
+    if (!navigator.onLine) {
+      parts.push(t("offline.offline"));
+    }
+    if (showingSavedActivities) {
+      parts.push(t("offline.showingSaved"));
+    }
+    if (pending > 0) {
+      parts.push(
+        t(navigator.onLine ? "offline.pending" : "offline.pendingOffline", { count: pending })
+      );
+    }
+
+    offlineBanner.textContent = parts.join(" ");
+    offlineBanner.classList.toggle("hidden", parts.length === 0);
+  }
+
+  window.addEventListener("online", () => {
+    updateConnectionStatus();
+    if (currentUser && currentUser.offline) {
+      // Confirm the restored user first; updateAuthUI then replays the queue
+      validateUserSession();
+      return;
+    }
+    replayOfflineQueue();
+    fetchActivities();
+  });
+
+  window.addEventListener("offline", updateConnectionStatus);
+
+  // Language switcher: static markup is translated by i18n.js, everything
+  // rendered here is re-rendered in the new language
+  function initializeLanguageSelect() {
+    Object.entries(window.i18n.languages).forEach(([code, name]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      option.lang = code;
+      languageSelect.appendChild(option);
+    });
+    languageSelect.value = window.i18n.getLocale();
+    languageSelect.addEventListener("change", () => window.i18n.setLocale(languageSelect.value));
+  }
+
+  document.addEventListener("localechange", () => {
+    languageSelect.value = window.i18n.getLocale();
+    renderCategoryFilters();
+    displayFilteredActivities();
+    showBannerAnnouncement();
+    updateConnectionStatus();
+
+    if (!announcementsModal.classList.contains("hidden")) {
+      loadAnnouncementsForManager();
+    }
+    if (!activitiesModal.classList.contains("hidden")) {
+      loadActivitiesForManager();
+    }
+    if (!teachersModal.classList.contains("hidden")) {
+      loadTeachersForManager();
+    }
+    if (!attendanceModal.classList.contains("hidden")) {
+      renderAttendanceRows();
+    }
+    if (auditDialog.isOpen()) {
+      loadAuditEntries();
+    }
+    if (registrationDialog.isOpen()) {
+      bulkToggle.textContent = t(bulkRegistration ? "registration.singleMode" : "registration.bulkMode");
+      renderRosterResults(rosterMatches);
+    }
   });
 
+  // Live updates: the server pushes data changes over Server-Sent Events
+  // (GET /events) and the affected card or banner is patched in place
+  let liveUpdatesDropped = false;
+
+  function connectLiveUpdates() {
+    if (!window.EventSource) return;
+    const source = new EventSource("/events");
+
+    ["signup", "unregister", "waitlist", "activity_updated"].forEach((type) => {
+      source.addEventListener(type, (event) => {
+        const data = JSON.parse(event.data);
+        patchActivity(data.activity, data.details);
+      });
+    });
+
+    source.addEventListener("activity_deleted", (event) => {
+      removeActivity(JSON.parse(event.data).activity);
+    });
+
+    // Whether a new activity is listed depends on the filters, sort and page,
+    // which only the server applies
+    source.addEventListener("activity_created", () => fetchActivities());
+
+    source.addEventListener("announcement", () => fetchAnnouncements());
+    source.addEventListener("resync", resyncLiveData);
+
+    // EventSource reconnects on its own; reload whatever changed meanwhile
+    source.addEventListener("error", () => {
+      liveUpdatesDropped = true;
+    });
+    source.addEventListener("open", () => {
+      if (liveUpdatesDropped) {
+        liveUpdatesDropped = false;
+        resyncLiveData();
+      }
+    });
+  }
+
+  function resyncLiveData() {
+    fetchActivities();
+    fetchAnnouncements();
+  }
+
+  function findActivityCard(name) {
+    return Array.from(activitiesList.querySelectorAll(".activity-card")).find(
+      (card) => card.dataset.activity === name
+    );
+  }
+
+  // Replace one activity's details and redraw only its card
+  function patchActivity(name, details) {
+    // Activities outside the current filters or loaded pages are not shown
+    if (!(name in allActivities)) return;
+    allActivities[name] = details;
+
+    if (currentView === "calendar") {
+      displayFilteredActivities();
+      return;
+    }
+
+    const card = findActivityCard(name);
+    if (card) {
+      card.replaceWith(createActivityCard(name, details, cardHighlights[name] || []));
+    }
+  }
+
+  function removeActivity(name) {
+    if (!(name in allActivities)) return;
+    delete allActivities[name];
+    totalActivities = Math.max(totalActivities - 1, 0);
+
+    const card = findActivityCard(name);
+    if (card && currentView === "cards" && Object.keys(allActivities).length > 0) {
+      card.remove();
+      updateLoadMore();
+    } else {
+      displayFilteredActivities();
+    }
+  }
+
   // Expose filter functions to window for future UI control
   window.activityFilters = {
+    setCategoryFilter,
     setDayFilter,
+    toggleDayFilter,
     setTimeRangeFilter,
+    setCustomTimeRange,
+    setSearchQuery,
+    setSortOrder,
+    setView,
+    getState: getFilterState,
   };
 
   // Initialize app
+  window.i18n.applyTranslations();
+  initializeLanguageSelect();
   checkAuthentication();
   initializeFilters();
+  fetchCategories();
   fetchActivities();
+  // Signed-out visitors see the banner and card notices too
+  fetchAnnouncements();
+  connectLiveUpdates();
+  updateConnectionStatus();
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  }
 });
@@ -0,0 +1,1049 @@
+// Translations and locale-aware formatting, exposed as window.i18n
+//
+// - Messages live in flat catalogs keyed like "card.spotsLeft". `{name}`
+//   placeholders are filled from the params passed to t(); array params are
+//   joined as a localized list. An entry with `one`/`other` forms is chosen
+//   with Intl.PluralRules on `params.count`.
+// - Static markup is translated through data-i18n (text content),
+//   data-i18n-placeholder, data-i18n-aria-label and data-i18n-title attributes.
+//   data-i18n-day="Monday" shows the localized day name (data-i18n-day-format
+//   "short" for the abbreviation).
+// - API errors carry a stable `code` and `params` (see backend/errors.py) that
+//   are looked up under "errors.<code>".
+// Missing keys fall back to English, then to the key itself.
+
+(function () {
+  const DEFAULT_LOCALE = "en";
+  const STORAGE_KEY = "language";
+
+  const languages = {
+    en: "English",
+    es: "Español",
+  };
+
+  const catalogs = {
+    en: {
+      "page.title": "Mergington High School Activities",
+      "page.subtitle": "Extracurricular Activities",
+      "language.label": "Language",
+
+      "header.login": "Login",
+      "header.logout": "Logout",
+      "header.manage": "Manage",
+      "header.manageAnnouncementsTitle": "Manage announcements",
+      "header.activities": "Activities",
+      "header.manageActivitiesTitle": "Manage activities",
+      "header.teachers": "Teachers",
+      "header.manageTeachersTitle": "Manage teacher accounts (admins only)",
+      "header.auditLog": "Audit log",
+      "header.auditLogTitle": "Audit log (admins only)",
+
+      "common.cancel": "Cancel",
+      "common.save": "Save",
+      "common.edit": "Edit",
+      "common.delete": "Delete",
+      "common.unexpectedError": "Unexpected error",
+      "common.errorOccurred": "An error occurred",
+      "common.close": "Close",
+
+      "auth.sessionExpired": "Your session has expired. Please log in again.",
+      "auth.invalidCredentials": "Invalid username or password",
+      "auth.welcome": "Welcome, {name}!",
+      "auth.loginFailed": "Login failed. Please try again.",
+      "auth.loggedOut": "You have been logged out.",
+
+      "login.title": "Teacher Login",
+      "login.username": "Username:",
+      "login.usernamePlaceholder": "Enter your username",
+      "login.password": "Password:",
+      "login.passwordPlaceholder": "Enter your password",
+      "login.submit": "Login",
+
+      "filters.title": "Filter Activities",
+      "filters.searchPlaceholder": "Search activities...",
+      "filters.search": "Search",
+      "filters.findStudent": "Find a student:",
+      "filters.lookUpStudent": "Look up student",
+      "filters.byCategory": "Filter by category:",
+      "filters.allCategories": "All",
+      "filters.byDay": "Filter by day:",
+      "filters.daysGroup": "Days (select one or more)",
+      "filters.allDays": "All Days",
+      "filters.weekdays": "Weekdays",
+      "filters.weekend": "Weekend",
+      "filters.byTime": "Filter by time:",
+      "filters.allTimes": "All Times",
+      "filters.beforeSchool": "Before School",
+      "filters.afterSchool": "After School",
+      "filters.custom": "Custom",
+      "filters.from": "From",
+      "filters.to": "To",
+      "filters.endAfterStart": "The end time must be after the start time.",
+
+      "view.label": "Activity view",
+      "view.cards": "Cards",
+      "view.calendar": "Weekly calendar",
+      "view.calendarLabel": "Weekly calendar of activities",
+
+      "sort.label": "Sort by",
+      "sort.name": "Name (A-Z)",
+      "sort.startTime": "Start time",
+      "sort.spotsLeft": "Most spots left",
+      "sort.fill": "Most popular (% full)",
+
+      "category.other": "Other",
+
+      "banner.previous": "Previous announcement",
+      "banner.next": "Next announcement",
+      "banner.dismiss": "Dismiss announcement",
+      "banner.dismissTitle": "Dismiss",
+
+      "severity.urgent": "Urgent",
+      "severity.warning": "Warning",
+      "severity.info": "Info",
+
+      "audience.site": "Whole site",
+      "audience.category": "Category: {category}",
+      "audience.activities": "Activities: {activities}",
+
+      "announcements.title": "Manage Announcements",
+      "announcements.signInRequired": "You must be signed in to manage announcements.",
+      "announcements.loading": "Loading announcements...",
+      "announcements.loadFailed": "Failed to load announcements",
+      "announcements.loadError": "Error loading announcements",
+      "announcements.none": "No announcements found",
+      "announcements.dates": "Start: {start} • Expires: {expire}",
+      "announcements.postedBy": "Posted by {name}",
+      "announcements.confirmDelete": "Delete this announcement?",
+      "announcements.deleteFailed": "Failed to delete announcement",
+      "announcements.deleted": "Announcement deleted",
+      "announcements.formHeading": "Create / Edit Announcement",
+      "announcements.titleLabel": "Title",
+      "announcements.titlePlaceholder": "Short title",
+      "announcements.messageLabel": "Message",
+      "announcements.messagePlaceholder": "Announcement message",
+      "announcements.markdownHint":
+        'Supports **bold**, *italics*, [link text](https://...), lists starting with "- " or "1. " and line breaks.',
+      "announcements.preview": "Preview",
+      "announcements.previewEmpty": "Nothing to preview yet",
+      "announcements.priority": "Priority",
+      "announcements.showTo": "Show to",
+      "announcements.audienceSite": "Whole site (banner)",
+      "announcements.audienceActivities": "Specific activities",
+      "announcements.audienceCategory": "An activity category",
+      "announcements.activitiesLabel": "Activities",
+      "announcements.categoryLabel": "Category",
+      "announcements.startDate": "Start date (optional)",
+      "announcements.expireDate": "Expire date (required)",
+      "announcements.fieldsRequired": "Please provide title, message and expire date.",
+      "announcements.chooseActivity": "Please choose at least one activity.",
+      "announcements.updateFailed": "Failed to update announcement.",
+      "announcements.updated": "Announcement updated",
+      "announcements.createFailed": "Failed to create announcement.",
+      "announcements.created": "Announcement created",
+
+      "activities.title": "Manage Activities",
+      "activities.signInRequired": "You must be signed in to manage activities.",
+      "activities.createHeading": "Create Activity",
+      "activities.editHeading": "Edit {name}",
+      "activities.loading": "Loading activities...",
+      "activities.managerLoadFailed": "Failed to load activities",
+      "activities.managerLoadError": "Error loading activities",
+      "activities.none": "No activities found",
+      "activities.enrolled": "{count}/{max} enrolled",
+      "activities.sponsoredByOthers": "Sponsored by others",
+      "activities.confirmDelete": {
+        one: "Delete {name}? Its {count} registration will be removed.",
+        other: "Delete {name}? Its {count} registrations will be removed.",
+      },
+      "activities.deleteFailed": "Failed to delete activity",
+      "activities.deleted": "Deleted {name}",
+      "activities.nameLabel": "Name",
+      "activities.namePlaceholder": "Activity name",
+      "activities.descriptionLabel": "Description",
+      "activities.descriptionPlaceholder": "What students will do",
+      "activities.categoryLabel": "Category",
+      "activities.meetingDays": "Meeting days",
+      "activities.startTime": "Start time",
+      "activities.endTime": "End time",
+      "activities.maxParticipants": "Max participants",
+      "activities.sponsors": "Sponsors (admins only)",
+      "activities.fieldsRequired": "Please provide name, description, start and end time.",
+      "activities.dayRequired": "Select at least one meeting day.",
+      "activities.endAfterStart": "End time must be after start time.",
+      "activities.invalidMax": "Max participants must be a positive whole number.",
+      "activities.saveFailed": "Failed to save activity.",
+      "activities.updated": "Updated {name}",
+      "activities.created": "Created {name}",
+      "activities.loadFailed": "Failed to load activities. Please try again later.",
+      "activities.loadMore": "Load more",
+      "activities.loadMoreFailed": "Failed to load more activities. Please try again.",
+      "activities.noResults": "No activities found",
+      "activities.noResultsHint": "Try adjusting your search or filter criteria",
+      "activities.showingCount": {
+        one: "Showing {loaded} of {count} activity",
+        other: "Showing {loaded} of {count} activities",
+      },
+
+      "teachers.title": "Manage Teachers",
+      "teachers.adminOnly": "Only admins can manage teacher accounts.",
+      "teachers.addHeading": "Add Teacher",
+      "teachers.editHeading": "Edit {name}",
+      "teachers.loading": "Loading teachers...",
+      "teachers.loadFailed": "Failed to load teachers",
+      "teachers.loadError": "Error loading teachers",
+      "teachers.confirmDelete": "Delete the account for {name}?",
+      "teachers.deleteFailed": "Failed to delete teacher",
+      "teachers.deleted": "Deleted {name}",
+      "teachers.username": "Username",
+      "teachers.usernamePlaceholder": "e.g. jsmith",
+      "teachers.displayName": "Display name",
+      "teachers.displayNamePlaceholder": "e.g. Ms. Smith",
+      "teachers.password": "Password",
+      "teachers.passwordPlaceholder": "At least 8 characters",
+      "teachers.role": "Role",
+      "teachers.saveFailed": "Failed to save teacher.",
+      "teachers.updated": "Updated {name}",
+      "teachers.added": "Added {name}",
+
+      "roles.admin": "Admin",
+      "roles.teacher": "Teacher",
+
+      "audit.title": "Audit log",
+      "audit.adminOnly": "Only admins can view the audit log.",
+      "audit.activity": "Activity",
+      "audit.student": "Student",
+      "audit.teacher": "Teacher",
+      "audit.anyTeacher": "Any teacher",
+      "audit.from": "From",
+      "audit.to": "To",
+      "audit.clear": "Clear",
+      "audit.apply": "Apply",
+      "audit.loading": "Loading audit log...",
+      "audit.loadFailed": "Failed to load the audit log",
+      "audit.loadError": "Error loading the audit log",
+      "audit.none": "No matching entries",
+      "audit.showingCount": {
+        one: "Showing {loaded} of {count} entry",
+        other: "Showing {loaded} of {count} entries",
+      },
+      "audit.status.none": "not enrolled",
+      "audit.status.registered": "registered",
+      "audit.status.waitlisted": "waitlisted (#{position})",
+      "audit.action.signup": "{actor} registered {student} for {target}",
+      "audit.action.unregister": "{actor} unregistered {student} from {target}",
+      "audit.action.unregister_undone": "{actor} undid unregistering {student} from {target}",
+      "audit.action.waitlist_joined": "{actor} added {student} to the waitlist for {target}",
+      "audit.action.waitlist_removed": "{actor} removed {student} from the waitlist for {target}",
+      "audit.action.waitlist_promoted": "{student} moved up from the waitlist for {target} after a change by {actor}",
+      "audit.action.activity_created": "{actor} created the activity {target}",
+      "audit.action.activity_updated": "{actor} edited the activity {target}",
+      "audit.action.activity_deleted": "{actor} deleted the activity {target}",
+      "audit.action.announcement_created": "{actor} posted the announcement “{target}”",
+      "audit.action.announcement_updated": "{actor} edited the announcement “{target}”",
+      "audit.action.announcement_deleted": "{actor} deleted the announcement “{target}”",
+
+      "students.title": "Student",
+      "students.signInRequired": "You must be signed in to look up students.",
+      "students.loading": "Loading student...",
+      "students.loadFailed": "Failed to load student",
+      "students.loadError": "Error loading student",
+      "students.hoursPerWeekShort": "{hours} h/week",
+      "students.unregister": "Unregister",
+      "students.notEnrolled": "Not enrolled in any activities",
+      "students.waitlisted": "Waitlisted",
+      "students.activityCount": { one: "{count} activity", other: "{count} activities" },
+      "students.hoursPerWeek": "{hours} hours per week",
+      "students.addAllToCalendar": "Add all to calendar",
+      "students.enrollments": "Enrollments",
+      "students.weeklySchedule": "Weekly schedule",
+
+      "attendance.title": "Attendance:",
+      "attendance.meetingDate": "Meeting date",
+      "attendance.student": "Student",
+      "attendance.presentHeading": "Present",
+      "attendance.absentHeading": "Absent",
+      "attendance.excusedHeading": "Excused",
+      "attendance.termRate": "Term rate",
+      "attendance.save": "Save attendance",
+      "attendance.loading": "Loading attendance...",
+      "attendance.loadFailed": "Failed to load attendance",
+      "attendance.loadError": "Error loading attendance",
+      "attendance.noMeetings": "No meetings yet this term",
+      "attendance.noStudents": "No students registered",
+      "attendance.present": "present",
+      "attendance.absent": "absent",
+      "attendance.excused": "excused",
+      "attendance.markOne": "Mark at least one student before saving.",
+      "attendance.saveFailed": "Failed to save attendance",
+      "attendance.saved": "Saved attendance for {activity} on {date}",
+
+      "card.enrolled": "{count} enrolled",
+      "card.onWaitlist": "{count} on waitlist",
+      "card.spotsLeft": { one: "{count} spot left", other: "{count} spots left" },
+      "card.schedule": "Schedule:",
+      "card.scheduleTooltip": "Regular meetings at this time throughout the semester",
+      "card.addToCalendarLabel": "Add {name} to your calendar",
+      "card.addToCalendar": "Add to calendar",
+      "card.participants": "Current Participants:",
+      "card.unregisterStudent": "Unregister this student",
+      "card.unregisterStudentNamed": "Unregister {email}",
+      "card.waitlist": "Waitlist ({count}):",
+      "card.removeFromWaitlist": "Remove from waitlist",
+      "card.removeFromWaitlistNamed": "Remove {email} from the waitlist",
+      "card.addToWaitlist": "Add to Waitlist",
+      "card.registerStudent": "Register Student",
+      "card.takeAttendance": "Take attendance",
+      "card.teachersCanRegister": "Teachers can register students.",
+
+      "registration.waitlistFor": "Add to waitlist for",
+      "registration.registerFor": "Register for",
+      "registration.addToWaitlist": "Add to Waitlist",
+      "registration.register": "Register",
+      "registration.studentEmail": "Student Email:",
+      "registration.override": "Register anyway (admin override)",
+      "registration.signInToUnregister": "You must be logged in as a teacher to unregister students.",
+      "registration.confirmUnregister": "Are you sure you want to unregister {email} from {activity}?",
+      "registration.unregisteredPromoted":
+        "Unregistered {email} from {activity}. {promoted} moved up from the waitlist",
+      "registration.unregistered": "Unregistered {email} from {activity}",
+      "registration.unregisterFailed": "Failed to unregister. Please try again.",
+      "registration.undo": "Undo",
+      "registration.undone": "Put {email} back in {activity}",
+      "registration.undoFailed": "Failed to undo. Please try again.",
+      "registration.signInToManageWaitlist": "You must be logged in as a teacher to manage waitlists.",
+      "registration.confirmWaitlistRemove": "Remove {email} from the waitlist for {activity}?",
+      "registration.waitlistRemoved": "Removed {email} from the waitlist for {activity}",
+      "registration.waitlistUpdateFailed": "Failed to update the waitlist. Please try again.",
+      "registration.signInToRegister": "You must be logged in as a teacher to register students.",
+      "registration.filledUp":
+        "{activity} filled up before {email} could be registered. The card has been refreshed; you can add the student to the waitlist instead.",
+      "registration.signupFailed": "Failed to sign up. Please try again.",
+      "registration.waitlisted": "Added {email} to the waitlist for {activity} (position {position})",
+      "registration.signedUp": "Signed up {email} for {activity}",
+      "registration.bulkMode": "Register several students",
+      "registration.singleMode": "Register one student",
+      "registration.bulkEmails": "Student Emails:",
+      "registration.bulkEmailsPlaceholder": "One email per line, or separated by commas",
+      "registration.bulkEmpty": "Enter at least one email.",
+      "registration.rosterSearch": "Add from the student directory:",
+      "registration.rosterSearchPlaceholder": "Search by email",
+      "registration.rosterAdd": "+ {email}",
+      "registration.rosterRegistered": "{email} (already registered)",
+      "registration.rosterNoMatches": 'No students match "{query}"',
+      "registration.rosterAddAll": "Add all matches",
+      "registration.bulkSummary": "{activity}: {summary}",
+      "registration.bulkCount.added": { one: "{count} added", other: "{count} added" },
+      "registration.bulkCount.already_registered": {
+        one: "{count} already registered",
+        other: "{count} already registered",
+      },
+      "registration.bulkCount.schedule_conflict": {
+        one: "{count} schedule conflict",
+        other: "{count} schedule conflicts",
+      },
+      "registration.bulkCount.full": {
+        one: "{count} over capacity",
+        other: "{count} over capacity",
+      },
+      "registration.bulkCount.invalid": { one: "{count} invalid email", other: "{count} invalid emails" },
+      "registration.bulkResult.added": "added",
+      "registration.bulkResult.already_registered": "already registered",
+      "registration.bulkResult.schedule_conflict": "overlaps with {activities}",
+      "registration.bulkResult.full": "not added, the activity is full",
+      "registration.bulkResult.invalid": "not a valid email",
+      "registration.bulkOverride": "Register students with conflicts anyway (admin override)",
+
+      "confirm.title": "Confirm Action",
+      "confirm.confirm": "Confirm",
+
+      "offline.notSaved":
+        "You are offline and these activities have not been saved on this device yet. They will load when the connection returns.",
+      "offline.waitingToSync": "Waiting to sync:",
+      "offline.change.signup": "Register {email} for {activity}",
+      "offline.change.waitlist": "Waitlist {email} for {activity}",
+      "offline.change.unregister": "Unregister {email} from {activity}",
+      "offline.queued": 'You\'re offline. "{change}" will be sent when the connection returns.',
+      "offline.queuedMany": {
+        one: "You're offline. {count} registration will be sent when the connection returns.",
+        other: "You're offline. {count} registrations will be sent when the connection returns.",
+      },
+      "offline.failed": "failed",
+      "offline.syncTitle": "Offline changes synced",
+      "offline.syncPartial": {
+        one: "{succeeded} of {count} offline change went through. Review the conflicts below.",
+        other: "{succeeded} of {count} offline changes went through. Review the conflicts below.",
+      },
+      "offline.syncAll": {
+        one: "The offline change went through.",
+        other: "All {count} offline changes went through.",
+      },
+      "offline.offline": "You're offline.",
+      "offline.showingSaved": "Showing the activities saved on this device.",
+      "offline.pending": {
+        one: "{count} change waiting to sync.",
+        other: "{count} changes waiting to sync.",
+      },
+      "offline.pendingOffline": {
+        one: "{count} change waiting to sync when the connection returns.",
+        other: "{count} changes waiting to sync when the connection returns.",
+      },
+
+      "errors.auth_required": "Please log in to continue.",
+      "errors.invalid_credentials": "Invalid username or password",
+      "errors.admin_required": "Only admins can do this.",
+      "errors.not_activity_sponsor": "Only this activity's sponsors or an admin can do this.",
+      "errors.not_announcement_author": "Only the author of this announcement or an admin can change it.",
+      "errors.invalid_severity": "Priority must be {allowed}.",
+      "errors.invalid_audience_type": "Audience must be {allowed}.",
+      "errors.audience_activities_required": "Choose at least one activity for this announcement.",
+      "errors.unknown_activities": "Unknown activities: {names}",
+      "errors.audience_category_required": "Choose an existing category for this announcement.",
+      "errors.invalid_date": "{field} is not a valid date (expected YYYY-MM-DD).",
+      "errors.start_after_expire": "The start date cannot be after the expire date.",
+      "errors.start_after_end": "The start date cannot be after the end date.",
+      "errors.invalid_announcement_id": "Invalid announcement id",
+      "errors.announcement_not_found": "Announcement not found",
+      "errors.no_updates": "No changes to save.",
+      "errors.activity_not_found": "Activity not found",
+      "errors.days_required": "Select at least one meeting day.",
+      "errors.invalid_days": "Invalid days: {days}",
+      "errors.invalid_time": "Times must use the HH:MM format.",
+      "errors.end_before_start": "End time must be after start time.",
+      "errors.invalid_max_participants": "Max participants must be a positive whole number.",
+      "errors.max_below_enrollment":
+        "Max participants cannot be lower than the {enrolled} students already enrolled.",
+      "errors.unknown_category": "Unknown category",
+      "errors.invalid_sponsors": "Sponsors must be a list of teacher usernames.",
+      "errors.unknown_sponsors": "Unknown sponsors: {usernames}",
+      "errors.invalid_sort": "Sort must be {allowed}.",
+      "errors.invalid_order": "Order must be ascending or descending.",
+      "errors.activity_fields_required": "Please provide name, description, start and end time.",
+      "errors.activity_exists": "An activity with this name already exists.",
+      "errors.admin_only_sponsors": "Only admins can change sponsors.",
+      "errors.admin_only_force": "Only admins can override schedule conflicts.",
+      "errors.no_emails": "Enter at least one email.",
+      "errors.date_range_too_long": "Date ranges can cover at most {max_days} days.",
+      "errors.calendar_feed_not_found": "Calendar feed not found.",
+      "errors.invalid_activity_name": 'Activity names cannot contain "/", "<", double quotes or control characters.',
+      "errors.invalid_email": "{email} is not a valid email address.",
+      "errors.batch_too_large": "At most {max} students can be registered at once.",
+      "errors.description_required": "The description cannot be empty.",
+      "errors.already_signed_up": "This student is already signed up for this activity.",
+      "errors.activity_full": "This activity is full.",
+      "errors.update_failed": "The change could not be saved. Please try again.",
+      "errors.not_registered": "This student is not registered for this activity.",
+      "errors.already_waitlisted": "This student is already on the waitlist.",
+      "errors.activity_has_spots": "This activity still has open spots; register the student instead.",
+      "errors.not_waitlisted": "This student is not on the waitlist.",
+      "errors.schedule_conflict":
+        "This student already has an activity at an overlapping time:",
+      "errors.invalid_color": "Colors must be hex values like #1a2b3c.",
+      "errors.invalid_category_key": "Category keys may only use lowercase letters, digits and dashes.",
+      "errors.category_exists": "A category with this key already exists.",
+      "errors.category_not_found": "Category not found",
+      "errors.label_required": "The label cannot be empty.",
+      "errors.teacher_fields_required": "Please provide a username, display name and password.",
+      "errors.teacher_exists": "A teacher with this username already exists.",
+      "errors.teacher_not_found": "Teacher not found",
+      "errors.display_name_required": "The display name cannot be empty.",
+      "errors.invalid_role": "Role must be {allowed}.",
+      "errors.password_too_short": "Passwords must be at least {min_length} characters.",
+      "errors.cannot_change_own_role": "You cannot change your own role.",
+      "errors.cannot_delete_self": "You cannot delete your own account.",
+      "errors.not_a_meeting_date": "{activity} does not meet on {date}.",
+      "errors.attendance_future_date": "Attendance cannot be taken for a future date.",
+      "errors.students_not_registered": "Not registered for this activity: {emails}",
+      "errors.invalid_attendance_status": "Attendance must be {allowed}.",
+      "errors.student_not_found": "Student not found",
+      "errors.invalid_action": "Action must be {allowed}.",
+      "errors.undo_expired": "It is too late to undo this. Register the student again instead.",
+      "errors.spot_taken":
+        "{activity} filled up after {email} was unregistered, so they could not be put back. Add them to the waitlist instead.",
+    },
+
+    es: {
+      "page.title": "Actividades de Mergington High School",
+      "page.subtitle": "Actividades extracurriculares",
+      "language.label": "Idioma",
+
+      "header.login": "Iniciar sesión",
+      "header.logout": "Cerrar sesión",
+      "header.manage": "Gestionar",
+      "header.manageAnnouncementsTitle": "Gestionar anuncios",
+      "header.activities": "Actividades",
+      "header.manageActivitiesTitle": "Gestionar actividades",
+      "header.teachers": "Profesores",
+      "header.manageTeachersTitle": "Gestionar cuentas de profesores (solo administradores)",
+      "header.auditLog": "Auditoría",
+      "header.auditLogTitle": "Registro de auditoría (solo administradores)",
+
+      "common.cancel": "Cancelar",
+      "common.save": "Guardar",
+      "common.edit": "Editar",
+      "common.delete": "Eliminar",
+      "common.unexpectedError": "Error inesperado",
+      "common.errorOccurred": "Se produjo un error",
+      "common.close": "Cerrar",
+
+      "auth.sessionExpired": "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+      "auth.invalidCredentials": "Usuario o contraseña incorrectos",
+      "auth.welcome": "¡Bienvenido/a, {name}!",
+      "auth.loginFailed": "No se pudo iniciar sesión. Inténtalo de nuevo.",
+      "auth.loggedOut": "Has cerrado la sesión.",
+
+      "login.title": "Acceso para profesores",
+      "login.username": "Usuario:",
+      "login.usernamePlaceholder": "Escribe tu usuario",
+      "login.password": "Contraseña:",
+      "login.passwordPlaceholder": "Escribe tu contraseña",
+      "login.submit": "Entrar",
+
+      "filters.title": "Filtrar actividades",
+      "filters.searchPlaceholder": "Buscar actividades...",
+      "filters.search": "Buscar",
+      "filters.findStudent": "Buscar un estudiante:",
+      "filters.lookUpStudent": "Consultar estudiante",
+      "filters.byCategory": "Filtrar por categoría:",
+      "filters.allCategories": "Todas",
+      "filters.byDay": "Filtrar por día:",
+      "filters.daysGroup": "Días (elige uno o varios)",
+      "filters.allDays": "Todos los días",
+      "filters.weekdays": "Entre semana",
+      "filters.weekend": "Fin de semana",
+      "filters.byTime": "Filtrar por horario:",
+      "filters.allTimes": "Cualquier hora",
+      "filters.beforeSchool": "Antes de clase",
+      "filters.afterSchool": "Después de clase",
+      "filters.custom": "Personalizado",
+      "filters.from": "Desde",
+      "filters.to": "Hasta",
+      "filters.endAfterStart": "La hora de fin debe ser posterior a la de inicio.",
+
+      "view.label": "Vista de actividades",
+      "view.cards": "Tarjetas",
+      "view.calendar": "Calendario semanal",
+      "view.calendarLabel": "Calendario semanal de actividades",
+
+      "sort.label": "Ordenar por",
+      "sort.name": "Nombre (A-Z)",
+      "sort.startTime": "Hora de inicio",
+      "sort.spotsLeft": "Más plazas libres",
+      "sort.fill": "Más populares (% ocupado)",
+
+      "category.other": "Otras",
+
+      "banner.previous": "Anuncio anterior",
+      "banner.next": "Anuncio siguiente",
+      "banner.dismiss": "Descartar anuncio",
+      "banner.dismissTitle": "Descartar",
+
+      "severity.urgent": "Urgente",
+      "severity.warning": "Aviso",
+      "severity.info": "Información",
+
+      "audience.site": "Todo el sitio",
+      "audience.category": "Categoría: {category}",
+      "audience.activities": "Actividades: {activities}",
+
+      "announcements.title": "Gestionar anuncios",
+      "announcements.signInRequired": "Debes iniciar sesión para gestionar anuncios.",
+      "announcements.loading": "Cargando anuncios...",
+      "announcements.loadFailed": "No se pudieron cargar los anuncios",
+      "announcements.loadError": "Error al cargar los anuncios",
+      "announcements.none": "No hay anuncios",
+      "announcements.dates": "Inicio: {start} • Caduca: {expire}",
+      "announcements.postedBy": "Publicado por {name}",
+      "announcements.confirmDelete": "¿Eliminar este anuncio?",
+      "announcements.deleteFailed": "No se pudo eliminar el anuncio",
+      "announcements.deleted": "Anuncio eliminado",
+      "announcements.formHeading": "Crear / editar anuncio",
+      "announcements.titleLabel": "Título",
+      "announcements.titlePlaceholder": "Título breve",
+      "announcements.messageLabel": "Mensaje",
+      "announcements.messagePlaceholder": "Texto del anuncio",
+      "announcements.markdownHint":
+        'Admite **negrita**, *cursiva*, [texto del enlace](https://...), listas que empiezan por "- " o "1. " y saltos de línea.',
+      "announcements.preview": "Vista previa",
+      "announcements.previewEmpty": "Todavía no hay nada que mostrar",
+      "announcements.priority": "Prioridad",
+      "announcements.showTo": "Mostrar en",
+      "announcements.audienceSite": "Todo el sitio (banner)",
+      "announcements.audienceActivities": "Actividades concretas",
+      "announcements.audienceCategory": "Una categoría de actividades",
+      "announcements.activitiesLabel": "Actividades",
+      "announcements.categoryLabel": "Categoría",
+      "announcements.startDate": "Fecha de inicio (opcional)",
+      "announcements.expireDate": "Fecha de caducidad (obligatoria)",
+      "announcements.fieldsRequired": "Indica el título, el mensaje y la fecha de caducidad.",
+      "announcements.chooseActivity": "Elige al menos una actividad.",
+      "announcements.updateFailed": "No se pudo actualizar el anuncio.",
+      "announcements.updated": "Anuncio actualizado",
+      "announcements.createFailed": "No se pudo crear el anuncio.",
+      "announcements.created": "Anuncio creado",
+
+      "activities.title": "Gestionar actividades",
+      "activities.signInRequired": "Debes iniciar sesión para gestionar actividades.",
+      "activities.createHeading": "Crear actividad",
+      "activities.editHeading": "Editar {name}",
+      "activities.loading": "Cargando actividades...",
+      "activities.managerLoadFailed": "No se pudieron cargar las actividades",
+      "activities.managerLoadError": "Error al cargar las actividades",
+      "activities.none": "No hay actividades",
+      "activities.enrolled": "{count}/{max} inscritos",
+      "activities.sponsoredByOthers": "Patrocinada por otros",
+      "activities.confirmDelete": {
+        one: "¿Eliminar {name}? Se borrará su {count} inscripción.",
+        other: "¿Eliminar {name}? Se borrarán sus {count} inscripciones.",
+      },
+      "activities.deleteFailed": "No se pudo eliminar la actividad",
+      "activities.deleted": "{name} eliminada",
+      "activities.nameLabel": "Nombre",
+      "activities.namePlaceholder": "Nombre de la actividad",
+      "activities.descriptionLabel": "Descripción",
+      "activities.descriptionPlaceholder": "Qué harán los estudiantes",
+      "activities.categoryLabel": "Categoría",
+      "activities.meetingDays": "Días de reunión",
+      "activities.startTime": "Hora de inicio",
+      "activities.endTime": "Hora de fin",
+      "activities.maxParticipants": "Máximo de participantes",
+      "activities.sponsors": "Responsables (solo administradores)",
+      "activities.fieldsRequired": "Indica el nombre, la descripción y las horas de inicio y fin.",
+      "activities.dayRequired": "Elige al menos un día de reunión.",
+      "activities.endAfterStart": "La hora de fin debe ser posterior a la de inicio.",
+      "activities.invalidMax": "El máximo de participantes debe ser un número entero positivo.",
+      "activities.saveFailed": "No se pudo guardar la actividad.",
+      "activities.updated": "{name} actualizada",
+      "activities.created": "{name} creada",
+      "activities.loadFailed": "No se pudieron cargar las actividades. Inténtalo más tarde.",
+      "activities.loadMore": "Cargar más",
+      "activities.loadMoreFailed": "No se pudieron cargar más actividades. Inténtalo de nuevo.",
+      "activities.noResults": "No se encontraron actividades",
+      "activities.noResultsHint": "Prueba a cambiar la búsqueda o los filtros",
+      "activities.showingCount": {
+        one: "Mostrando {loaded} de {count} actividad",
+        other: "Mostrando {loaded} de {count} actividades",
+      },
+
+      "teachers.title": "Gestionar profesores",
+      "teachers.adminOnly": "Solo los administradores pueden gestionar las cuentas de profesores.",
+      "teachers.addHeading": "Añadir profesor",
+      "teachers.editHeading": "Editar {name}",
+      "teachers.loading": "Cargando profesores...",
+      "teachers.loadFailed": "No se pudieron cargar los profesores",
+      "teachers.loadError": "Error al cargar los profesores",
+      "teachers.confirmDelete": "¿Eliminar la cuenta de {name}?",
+      "teachers.deleteFailed": "No se pudo eliminar al profesor",
+      "teachers.deleted": "{name} eliminado/a",
+      "teachers.username": "Usuario",
+      "teachers.usernamePlaceholder": "p. ej. jsmith",
+      "teachers.displayName": "Nombre visible",
+      "teachers.displayNamePlaceholder": "p. ej. Sra. Smith",
+      "teachers.password": "Contraseña",
+      "teachers.passwordPlaceholder": "Al menos 8 caracteres",
+      "teachers.role": "Rol",
+      "teachers.saveFailed": "No se pudo guardar el profesor.",
+      "teachers.updated": "{name} actualizado/a",
+      "teachers.added": "{name} añadido/a",
+
+      "roles.admin": "Administrador",
+      "roles.teacher": "Profesor",
+
+      "audit.title": "Registro de auditoría",
+      "audit.adminOnly": "Solo los administradores pueden ver el registro de auditoría.",
+      "audit.activity": "Actividad",
+      "audit.student": "Estudiante",
+      "audit.teacher": "Profesor",
+      "audit.anyTeacher": "Cualquier profesor",
+      "audit.from": "Desde",
+      "audit.to": "Hasta",
+      "audit.clear": "Limpiar",
+      "audit.apply": "Aplicar",
+      "audit.loading": "Cargando el registro de auditoría...",
+      "audit.loadFailed": "No se pudo cargar el registro de auditoría",
+      "audit.loadError": "Error al cargar el registro de auditoría",
+      "audit.none": "No hay entradas que coincidan",
+      "audit.showingCount": {
+        one: "Mostrando {loaded} de {count} entrada",
+        other: "Mostrando {loaded} de {count} entradas",
+      },
+      "audit.status.none": "sin inscripción",
+      "audit.status.registered": "inscrito",
+      "audit.status.waitlisted": "en lista de espera (n.º {position})",
+      "audit.action.signup": "{actor} inscribió a {student} en {target}",
+      "audit.action.unregister": "{actor} dio de baja a {student} de {target}",
+      "audit.action.unregister_undone": "{actor} deshizo la baja de {student} en {target}",
+      "audit.action.waitlist_joined": "{actor} añadió a {student} a la lista de espera de {target}",
+      "audit.action.waitlist_removed": "{actor} quitó a {student} de la lista de espera de {target}",
+      "audit.action.waitlist_promoted": "{student} pasó de la lista de espera a {target} tras un cambio de {actor}",
+      "audit.action.activity_created": "{actor} creó la actividad {target}",
+      "audit.action.activity_updated": "{actor} editó la actividad {target}",
+      "audit.action.activity_deleted": "{actor} eliminó la actividad {target}",
+      "audit.action.announcement_created": "{actor} publicó el anuncio «{target}»",
+      "audit.action.announcement_updated": "{actor} editó el anuncio «{target}»",
+      "audit.action.announcement_deleted": "{actor} eliminó el anuncio «{target}»",
+
+      "students.title": "Estudiante",
+      "students.signInRequired": "Debes iniciar sesión para consultar estudiantes.",
+      "students.loading": "Cargando estudiante...",
+      "students.loadFailed": "No se pudo cargar el estudiante",
+      "students.loadError": "Error al cargar el estudiante",
+      "students.hoursPerWeekShort": "{hours} h/semana",
+      "students.unregister": "Dar de baja",
+      "students.notEnrolled": "No está inscrito en ninguna actividad",
+      "students.waitlisted": "En lista de espera",
+      "students.activityCount": { one: "{count} actividad", other: "{count} actividades" },
+      "students.hoursPerWeek": "{hours} horas por semana",
+      "students.addAllToCalendar": "Añadir todo al calendario",
+      "students.enrollments": "Inscripciones",
+      "students.weeklySchedule": "Horario semanal",
+
+      "attendance.title": "Asistencia:",
+      "attendance.meetingDate": "Fecha de la sesión",
+      "attendance.student": "Estudiante",
+      "attendance.presentHeading": "Presente",
+      "attendance.absentHeading": "Ausente",
+      "attendance.excusedHeading": "Justificado",
+      "attendance.termRate": "Asistencia del trimestre",
+      "attendance.save": "Guardar asistencia",
+      "attendance.loading": "Cargando asistencia...",
+      "attendance.loadFailed": "No se pudo cargar la asistencia",
+      "attendance.loadError": "Error al cargar la asistencia",
+      "attendance.noMeetings": "Todavía no hay sesiones este trimestre",
+      "attendance.noStudents": "No hay estudiantes inscritos",
+      "attendance.present": "presente",
+      "attendance.absent": "ausente",
+      "attendance.excused": "justificado",
+      "attendance.markOne": "Marca al menos un estudiante antes de guardar.",
+      "attendance.saveFailed": "No se pudo guardar la asistencia",
+      "attendance.saved": "Asistencia guardada para {activity} el {date}",
+
+      "card.enrolled": "{count} inscritos",
+      "card.onWaitlist": "{count} en lista de espera",
+      "card.spotsLeft": { one: "Queda {count} plaza", other: "Quedan {count} plazas" },
+      "card.schedule": "Horario:",
+      "card.scheduleTooltip": "Sesiones regulares a esta hora durante todo el semestre",
+      "card.addToCalendarLabel": "Añadir {name} a tu calendario",
+      "card.addToCalendar": "Añadir al calendario",
+      "card.participants": "Participantes actuales:",
+      "card.unregisterStudent": "Dar de baja a este estudiante",
+      "card.unregisterStudentNamed": "Dar de baja a {email}",
+      "card.waitlist": "Lista de espera ({count}):",
+      "card.removeFromWaitlist": "Quitar de la lista de espera",
+      "card.removeFromWaitlistNamed": "Quitar a {email} de la lista de espera",
+      "card.addToWaitlist": "Añadir a la lista de espera",
+      "card.registerStudent": "Inscribir estudiante",
+      "card.takeAttendance": "Pasar lista",
+      "card.teachersCanRegister": "Los profesores pueden inscribir a estudiantes.",
+
+      "registration.waitlistFor": "Añadir a la lista de espera de",
+      "registration.registerFor": "Inscribir en",
+      "registration.addToWaitlist": "Añadir a la lista de espera",
+      "registration.register": "Inscribir",
+      "registration.studentEmail": "Correo del estudiante:",
+      "registration.override": "Inscribir de todos modos (administrador)",
+      "registration.signInToUnregister": "Debes iniciar sesión como profesor para dar de baja a estudiantes.",
+      "registration.confirmUnregister": "¿Seguro que quieres dar de baja a {email} de {activity}?",
+      "registration.unregisteredPromoted":
+        "{email} se ha dado de baja de {activity}. {promoted} pasa desde la lista de espera",
+      "registration.unregistered": "{email} se ha dado de baja de {activity}",
+      "registration.unregisterFailed": "No se pudo dar de baja. Inténtalo de nuevo.",
+      "registration.undo": "Deshacer",
+      "registration.undone": "{email} ha vuelto a {activity}",
+      "registration.undoFailed": "No se pudo deshacer. Inténtalo de nuevo.",
+      "registration.signInToManageWaitlist":
+        "Debes iniciar sesión como profesor para gestionar las listas de espera.",
+      "registration.confirmWaitlistRemove": "¿Quitar a {email} de la lista de espera de {activity}?",
+      "registration.waitlistRemoved": "{email} se ha quitado de la lista de espera de {activity}",
+      "registration.waitlistUpdateFailed": "No se pudo actualizar la lista de espera. Inténtalo de nuevo.",
+      "registration.signInToRegister": "Debes iniciar sesión como profesor para inscribir a estudiantes.",
+      "registration.filledUp":
+        "{activity} se llenó antes de poder inscribir a {email}. La tarjeta se ha actualizado; puedes añadir al estudiante a la lista de espera.",
+      "registration.signupFailed": "No se pudo completar la inscripción. Inténtalo de nuevo.",
+      "registration.waitlisted": "{email} añadido/a a la lista de espera de {activity} (puesto {position})",
+      "registration.signedUp": "{email} inscrito/a en {activity}",
+      "registration.bulkMode": "Inscribir a varios estudiantes",
+      "registration.singleMode": "Inscribir a un estudiante",
+      "registration.bulkEmails": "Correos de los estudiantes:",
+      "registration.bulkEmailsPlaceholder": "Un correo por línea, o separados por comas",
+      "registration.bulkEmpty": "Escribe al menos un correo.",
+      "registration.rosterSearch": "Añadir desde el directorio de estudiantes:",
+      "registration.rosterSearchPlaceholder": "Buscar por correo",
+      "registration.rosterAdd": "+ {email}",
+      "registration.rosterRegistered": "{email} (ya inscrito/a)",
+      "registration.rosterNoMatches": "Ningún estudiante coincide con «{query}»",
+      "registration.rosterAddAll": "Añadir todos",
+      "registration.bulkSummary": "{activity}: {summary}",
+      "registration.bulkCount.added": { one: "{count} inscrito", other: "{count} inscritos" },
+      "registration.bulkCount.already_registered": {
+        one: "{count} ya estaba inscrito",
+        other: "{count} ya estaban inscritos",
+      },
+      "registration.bulkCount.schedule_conflict": {
+        one: "{count} conflicto de horario",
+        other: "{count} conflictos de horario",
+      },
+      "registration.bulkCount.full": {
+        one: "{count} sin plaza",
+        other: "{count} sin plaza",
+      },
+      "registration.bulkCount.invalid": { one: "{count} correo no válido", other: "{count} correos no válidos" },
+      "registration.bulkResult.added": "inscrito/a",
+      "registration.bulkResult.already_registered": "ya estaba inscrito/a",
+      "registration.bulkResult.schedule_conflict": "coincide con {activities}",
+      "registration.bulkResult.full": "no inscrito/a, la actividad está llena",
+      "registration.bulkResult.invalid": "no es un correo válido",
+      "registration.bulkOverride": "Inscribir de todos modos a los estudiantes con conflictos (administrador)",
+
+      "confirm.title": "Confirmar acción",
+      "confirm.confirm": "Confirmar",
+
+      "offline.notSaved":
+        "Estás sin conexión y estas actividades aún no se han guardado en este dispositivo. Se cargarán cuando vuelva la conexión.",
+      "offline.waitingToSync": "Pendiente de sincronizar:",
+      "offline.change.signup": "Inscribir a {email} en {activity}",
+      "offline.change.waitlist": "Añadir a {email} a la lista de espera de {activity}",
+      "offline.change.unregister": "Dar de baja a {email} de {activity}",
+      "offline.queued": "Estás sin conexión. «{change}» se enviará cuando vuelva la conexión.",
+      "offline.queuedMany": {
+        one: "Estás sin conexión. {count} inscripción se enviará cuando vuelva la conexión.",
+        other: "Estás sin conexión. {count} inscripciones se enviarán cuando vuelva la conexión.",
+      },
+      "offline.failed": "error",
+      "offline.syncTitle": "Cambios sin conexión sincronizados",
+      "offline.syncPartial": {
+        one: "Se aplicó {succeeded} de {count} cambio sin conexión. Revisa los conflictos a continuación.",
+        other: "Se aplicaron {succeeded} de {count} cambios sin conexión. Revisa los conflictos a continuación.",
+      },
+      "offline.syncAll": {
+        one: "El cambio sin conexión se aplicó.",
+        other: "Se aplicaron los {count} cambios sin conexión.",
+      },
+      "offline.offline": "Estás sin conexión.",
+      "offline.showingSaved": "Mostrando las actividades guardadas en este dispositivo.",
+      "offline.pending": {
+        one: "{count} cambio pendiente de sincronizar.",
+        other: "{count} cambios pendientes de sincronizar.",
+      },
+      "offline.pendingOffline": {
+        one: "{count} cambio pendiente de sincronizar cuando vuelva la conexión.",
+        other: "{count} cambios pendientes de sincronizar cuando vuelva la conexión.",
+      },
+
+      "errors.auth_required": "Inicia sesión para continuar.",
+      "errors.invalid_credentials": "Usuario o contraseña incorrectos",
+      "errors.admin_required": "Solo los administradores pueden hacer esto.",
+      "errors.not_activity_sponsor": "Solo los responsables de esta actividad o un administrador pueden hacer esto.",
+      "errors.not_announcement_author": "Solo el autor de este anuncio o un administrador pueden cambiarlo.",
+      "errors.invalid_severity": "La prioridad debe ser {allowed}.",
+      "errors.invalid_audience_type": "El destino debe ser {allowed}.",
+      "errors.audience_activities_required": "Elige al menos una actividad para este anuncio.",
+      "errors.unknown_activities": "Actividades desconocidas: {names}",
+      "errors.audience_category_required": "Elige una categoría existente para este anuncio.",
+      "errors.invalid_date": "{field} no es una fecha válida (formato AAAA-MM-DD).",
+      "errors.start_after_expire": "La fecha de inicio no puede ser posterior a la de caducidad.",
+      "errors.start_after_end": "La fecha de inicio no puede ser posterior a la de fin.",
+      "errors.invalid_announcement_id": "Identificador de anuncio no válido",
+      "errors.announcement_not_found": "No se encontró el anuncio",
+      "errors.no_updates": "No hay cambios que guardar.",
+      "errors.activity_not_found": "No se encontró la actividad",
+      "errors.days_required": "Elige al menos un día de reunión.",
+      "errors.invalid_days": "Días no válidos: {days}",
+      "errors.invalid_time": "Las horas deben tener el formato HH:MM.",
+      "errors.end_before_start": "La hora de fin debe ser posterior a la de inicio.",
+      "errors.invalid_max_participants": "El máximo de participantes debe ser un número entero positivo.",
+      "errors.max_below_enrollment":
+        "El máximo de participantes no puede ser menor que los {enrolled} estudiantes ya inscritos.",
+      "errors.unknown_category": "Categoría desconocida",
+      "errors.invalid_sponsors": "Los responsables deben ser una lista de usuarios de profesores.",
+      "errors.unknown_sponsors": "Responsables desconocidos: {usernames}",
+      "errors.invalid_sort": "El orden debe ser {allowed}.",
+      "errors.invalid_order": "El sentido debe ser ascendente o descendente.",
+      "errors.activity_fields_required": "Indica el nombre, la descripción y las horas de inicio y fin.",
+      "errors.activity_exists": "Ya existe una actividad con este nombre.",
+      "errors.admin_only_sponsors": "Solo los administradores pueden cambiar los responsables.",
+      "errors.admin_only_force": "Solo los administradores pueden ignorar los conflictos de horario.",
+      "errors.no_emails": "Escribe al menos un correo.",
+      "errors.date_range_too_long": "Los rangos de fechas pueden abarcar como máximo {max_days} días.",
+      "errors.calendar_feed_not_found": "No se encontró el calendario.",
+      "errors.invalid_activity_name":
+        "Los nombres de actividad no pueden contener «/», «<», comillas dobles ni caracteres de control.",
+      "errors.invalid_email": "{email} no es una dirección de correo válida.",
+      "errors.batch_too_large": "Solo se pueden inscribir {max} estudiantes a la vez como máximo.",
+      "errors.description_required": "La descripción no puede estar vacía.",
+      "errors.already_signed_up": "Este estudiante ya está inscrito en esta actividad.",
+      "errors.activity_full": "Esta actividad está completa.",
+      "errors.update_failed": "No se pudo guardar el cambio. Inténtalo de nuevo.",
+      "errors.not_registered": "Este estudiante no está inscrito en esta actividad.",
+      "errors.already_waitlisted": "Este estudiante ya está en la lista de espera.",
+      "errors.activity_has_spots": "Esta actividad aún tiene plazas libres; inscribe al estudiante directamente.",
+      "errors.not_waitlisted": "Este estudiante no está en la lista de espera.",
+      "errors.schedule_conflict": "Este estudiante ya tiene una actividad en un horario que se solapa:",
+      "errors.invalid_color": "Los colores deben ser valores hexadecimales como #1a2b3c.",
+      "errors.invalid_category_key":
+        "Las claves de categoría solo pueden usar minúsculas, dígitos y guiones.",
+      "errors.category_exists": "Ya existe una categoría con esta clave.",
+      "errors.category_not_found": "No se encontró la categoría",
+      "errors.label_required": "La etiqueta no puede estar vacía.",
+      "errors.teacher_fields_required": "Indica un usuario, un nombre visible y una contraseña.",
+      "errors.teacher_exists": "Ya existe un profesor con este usuario.",
+      "errors.teacher_not_found": "No se encontró el profesor",
+      "errors.display_name_required": "El nombre visible no puede estar vacío.",
+      "errors.invalid_role": "El rol debe ser {allowed}.",
+      "errors.password_too_short": "Las contraseñas deben tener al menos {min_length} caracteres.",
+      "errors.cannot_change_own_role": "No puedes cambiar tu propio rol.",
+      "errors.cannot_delete_self": "No puedes eliminar tu propia cuenta.",
+      "errors.not_a_meeting_date": "{activity} no se reúne el {date}.",
+      "errors.attendance_future_date": "No se puede pasar lista de una fecha futura.",
+      "errors.students_not_registered": "No inscritos en esta actividad: {emails}",
+      "errors.invalid_attendance_status": "La asistencia debe ser {allowed}.",
+      "errors.student_not_found": "No se encontró el estudiante",
+      "errors.invalid_action": "La acción debe ser {allowed}.",
+      "errors.undo_expired": "Ya no se puede deshacer. Vuelve a inscribir al estudiante.",
+      "errors.spot_taken":
+        "{activity} se llenó después de dar de baja a {email}, así que no se pudo devolver a su plaza. Añádelo a la lista de espera.",
+    },
+  };
+
+  const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+  function detectLocale() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && catalogs[saved]) {
+      return saved;
+    }
+    const browser = (navigator.language || "").split("-")[0];
+    return catalogs[browser] ? browser : DEFAULT_LOCALE;
+  }
+
+  let locale = detectLocale();
+  document.documentElement.lang = locale;
+
+  function getLocale() {
+    return locale;
+  }
+
+  function lookup(key) {
+    if (key in catalogs[locale]) return catalogs[locale][key];
+    if (key in catalogs[DEFAULT_LOCALE]) return catalogs[DEFAULT_LOCALE][key];
+    return undefined;
+  }
+
+  function hasKey(key) {
+    return lookup(key) !== undefined;
+  }
+
+  // Translate a key, filling {placeholders} from params
+  function t(key, params = {}) {
+    let message = lookup(key);
+    if (message === undefined) {
+      return key;
+    }
+    if (typeof message === "object") {
+      const form = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+      message = message[form] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return Array.isArray(value) ? formatList(value) : String(value);
+    });
+  }
+
+  // "15:30" -> "3:30 PM" (en) or "15:30" (es)
+  function formatTime(time, { hourOnly = false } = {}) {
+    const [hours, minutes] = time.split(":").map(Number);
+    const options = hourOnly ? { hour: "numeric" } : { hour: "numeric", minute: "2-digit" };
+    return new Intl.DateTimeFormat(locale, options).format(new Date(2000, 0, 1, hours, minutes || 0));
+  }
+
+  // Localized name of an English day name, "long" ("Monday") or "short" ("Mon")
+  function formatDayName(day, width = "long") {
+    const index = DAYS.indexOf(day);
+    if (index === -1) return day;
+    // 1 January 2024 was a Monday
+    return new Intl.DateTimeFormat(locale, { weekday: width }).format(new Date(2024, 0, 1 + index));
+  }
+
+  // "2024-05-01" -> a localized date; parsed as local time so the day does not shift
+  function formatDate(isoDate, options = { dateStyle: "medium" }) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return isoDate;
+    return new Intl.DateTimeFormat(locale, options).format(date);
+  }
+
+  // ISO 8601 timestamp -> localized date and time
+  function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return timestamp;
+    return new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" }).format(date);
+  }
+
+  // ["a", "b", "c"] -> "a, b and c"; type "disjunction" gives "a, b or c"
+  function formatList(items, type = "conjunction") {
+    const values = items.map(String);
+    if (typeof Intl.ListFormat !== "function") {
+      return values.join(", ");
+    }
+    return new Intl.ListFormat(locale, { style: "long", type }).format(values);
+  }
+
+  // Message for a failed API response, translated from its error code when known
+  function apiErrorMessage(result, fallbackKey) {
+    const detail = result && result.detail;
+    const code = result && result.code;
+    if (code && hasKey(`errors.${code}`)) {
+      const params = { ...((result && result.params) || {}) };
+      // Allowed values read as a choice ("a, b or c")
+      if (Array.isArray(params.allowed)) {
+        params.allowed = formatList(params.allowed, "disjunction");
+      }
+      return t(`errors.${code}`, params);
+    }
+    if (typeof detail === "string") return detail;
+    return t(fallbackKey);
+  }
+
+  // Translate static markup marked with data-i18n* attributes
+  function applyTranslations(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+      el.setAttribute("placeholder", t(el.dataset.i18nPlaceholder));
+    });
+    root.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+      el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll("[data-i18n-title]").forEach((el) => {
+      el.setAttribute("title", t(el.dataset.i18nTitle));
+    });
+    root.querySelectorAll("[data-i18n-day]").forEach((el) => {
+      el.textContent = formatDayName(el.dataset.i18nDay, el.dataset.i18nDayFormat || "long");
+    });
+  }
+
+  // Switch language, remembering the choice; app.js re-renders on "localechange"
+  function setLocale(next) {
+    if (!catalogs[next] || next === locale) return;
+    locale = next;
+    localStorage.setItem(STORAGE_KEY, next);
+    document.documentElement.lang = next;
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent("localechange", { detail: { locale: next } }));
+  }
+
+  window.i18n = {
+    languages,
+    t,
+    getLocale,
+    setLocale,
+    applyTranslations,
+    apiErrorMessage,
+    formatTime,
+    formatDayName,
+    formatDate,
+    formatDateTime,
+    formatList,
+  };
+})();
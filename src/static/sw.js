@@ -0,0 +1,114 @@
+// Service worker for offline use (served at /sw.js so it controls the whole site)
+//
+// - The app shell is cached on install.
+// - The shell and GET requests for activities, announcements and categories
+//   go to the network first and fall back to the last cached response, marked
+//   with an X-Served-From-Cache header.
+// Signups and unregisters made offline are queued by app.js rather than here,
+// because replaying them needs the session token kept in localStorage.
+
+const CACHE_NAME = "mergington-activities-v3";
+const SHELL_URLS = [
+  "/static/index.html",
+  "/static/i18n.js",
+  "/static/app.js",
+  "/static/styles.css",
+];
+const DATA_PATHS = [
+  /^\/activities\/?$/,
+  /^\/activities\/search$/,
+  /^\/announcements\/active$/,
+  /^\/categories\/?$/,
+];
+// Each filter combination, page and search is cached under its own URL. Only the
+// most recently fetched ones per endpoint are kept, so the cache does not grow
+// with every query.
+const MAX_DATA_ENTRIES_PER_PATH = 10;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Page loads (including "/", which redirects) fall back to the cached shell
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("/static/index.html"))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith("/static/")) {
+    event.respondWith(networkFirst(request));
+  } else if (DATA_PATHS.some((pattern) => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request, { offlineJson: true }));
+  }
+});
+
+async function networkFirst(request, { offlineJson = false } = {}) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (offlineJson) {
+        await trimDataEntries(cache, new URL(request.url).pathname);
+      }
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return markFromCache(cached);
+    }
+    if (offlineJson) {
+      return new Response(
+        JSON.stringify({ detail: "You are offline and this data has not been saved yet" }),
+        { status: 503, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    throw error;
+  }
+}
+
+// cache.put moves a URL to the end of cache.keys(), so the oldest entries come first
+async function trimDataEntries(cache, pathname) {
+  const keys = (await cache.keys()).filter((key) => new URL(key.url).pathname === pathname);
+  await Promise.all(
+    keys.slice(0, -MAX_DATA_ENTRIES_PER_PATH).map((key) => cache.delete(key))
+  );
+}
+
+// Copy a cached response, flagging it so the page can say it is showing saved data
+function markFromCache(cached) {
+  const headers = new Headers(cached.headers);
+  headers.set("X-Served-From-Cache", "true");
+  return new Response(cached.body, {
+    status: cached.status,
+    statusText: cached.statusText,
+    headers,
+  });
+}